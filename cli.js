@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/**
+ * Command-line tool
+ * Runs core.js on timestamp files, e.g. from upload scripts.
+ *
+ *   node cli.js shift <file> <offset>       Move every time by -5, +1:30, 12f ...
+ *   node cli.js rescale <file> <speed>      Times for the video played at <speed>
+ *   node cli.js convert <file> --to <format>
+ *   node cli.js validate <file>             Exit code 1 if anything needs fixing
+ *
+ * <file> is a project or session .json file, or text with one "0:00 Title"
+ * per line. "-" reads stdin.
+ *
+ * Options:
+ *   --to <format>       session, project or an export format (text, vtt, ...).
+ *                       Default: the input's own format
+ *   -o, --out <file>    Write here instead of stdout
+ *   --duration <time>   End of the last chapter (vtt, srt, ffmetadata ...)
+ *   --nesting <mode>    flat, top, indent or number
+ *   --fps <rate>        Frame rate for timecode and "12f" offsets (default 30)
+ */
+const fs = require('fs');
+const path = require('path');
+const Core = require('./core.js');
+
+const COMMANDS = ['shift', 'rescale', 'convert', 'validate'];
+const SESSION_FORMATS = ['session', 'project'];
+// Formats that write where each chapter ends; the last one needs --duration
+const FORMATS_WITH_ENDS = ['vtt', 'srt', 'ffmetadata', 'csv'];
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const args = { positional: [], to: null, out: null, duration: 0, nesting: 'flat', fps: Core.FRAME_RATES['30'] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value.`);
+            return argv[++i];
+        };
+        if (arg === '--to') args.to = value();
+        else if (arg === '-o' || arg === '--out') args.out = value();
+        else if (arg === '--duration') args.duration = value();
+        else if (arg === '--nesting') args.nesting = value();
+        else if (arg === '--fps') {
+            const rate = value();
+            args.fps = Core.FRAME_RATES[rate];
+            if (!args.fps) throw new UsageError(`Unknown frame rate "${rate}". Use one of: ${Object.keys(Core.FRAME_RATES).join(', ')}.`);
+        } else if (arg === '-h' || arg === '--help') args.help = true;
+        else if (arg === '--') args.positional.push(...argv.splice(i + 1));
+        else if (arg.startsWith('--')) throw new UsageError(`Unknown option ${arg}.`);
+        else args.positional.push(arg); // Includes "-" (stdin) and negative offsets like "-5"
+    }
+
+    if (typeof args.duration === 'string') {
+        const duration = Core.parseTimeString(args.duration, args.fps);
+        if (isNaN(duration)) throw new UsageError(`Can't read duration "${args.duration}".`);
+        args.duration = duration;
+    }
+    if (!['flat', 'top', 'indent', 'number'].includes(args.nesting)) {
+        throw new UsageError(`Unknown nesting "${args.nesting}".`);
+    }
+    if (args.to && !SESSION_FORMATS.includes(args.to) && !Core.ExportFormats[args.to]) {
+        throw new UsageError(`Unknown format "${args.to}". Use one of: ${[...SESSION_FORMATS, ...Object.keys(Core.ExportFormats)].join(', ')}.`);
+    }
+    return args;
+}
+
+function readInput(file) {
+    // -> { kind: 'project'|'session'|'text', name, data, problems }
+    let content;
+    try {
+        content = fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+    } catch (e) {
+        throw new UsageError(`Can't read "${file}": ${e.message}`);
+    }
+    const name = file === '-' ? 'timestamps' : path.basename(file).replace(/\.[^.]+$/, '');
+
+    let parsed;
+    const start = content.trim()[0];
+    if (start === '{' || start === '[') {
+        try {
+            parsed = JSON.parse(content);
+        } catch (e) {
+            // "[0:00] Intro" is text with a bracketed time, but "{" only starts JSON
+            if (start === '{') throw new UsageError(`"${file}" is not valid JSON: ${e.message}`);
+        }
+    }
+    if (parsed === undefined) {
+        const { entries, skipped } = Core.parseTimestampText(content);
+        return {
+            kind: 'text',
+            name,
+            data: Core.sessionFromEntries(entries),
+            problems: skipped.map(s => `Line ${s.line} has no time and was skipped: ${s.text}`)
+        };
+    }
+
+    // Bare session data (e.g. a JSON export or a downloaded original from recovery) works too
+    const isProject = parsed && parsed.type === Core.PROJECT_FILE_TYPE;
+    const raw = isProject ? parsed.data : parsed;
+    if (!raw || !Array.isArray(raw.timestamps)) throw new UsageError(`"${file}" is not a timestamp file.`);
+
+    const { data, problems } = Core.loadSessionData(raw);
+    return { kind: isProject ? 'project' : 'session', name: (isProject && parsed.name) || name, data, problems };
+}
+
+function formatOutput(input, data, args) {
+    const format = args.to || input.kind;
+    if (format === 'session') return JSON.stringify(data, null, 2);
+    if (format === 'project') {
+        return JSON.stringify({ type: Core.PROJECT_FILE_TYPE, name: input.name, savedAt: new Date().toISOString(), data }, null, 2);
+    }
+    const entries = Core.buildExportEntries(data, { nesting: args.nesting, duration: args.duration });
+    return Core.ExportFormats[format].format(entries, { globalOffset: data.globalOffset, speed: data.speed, edits: data.edits, title: input.name });
+}
+
+function getWarnings(input, data, args) {
+    const warnings = input.problems.slice();
+
+    // Display times stop at 0:00, so entries shifted before it pile up there
+    const clamped = data.timestamps.filter(ts => Core.remapTime(Core.getOriginalTime(ts, data), data.edits) < 0);
+    if (clamped.length) {
+        const names = clamped.map(ts => `"${ts.description || 'untitled'}"`).join(', ');
+        warnings.push(`${clamped.length} ${clamped.length === 1 ? 'entry starts' : 'entries start'} before 0:00 and ${clamped.length === 1 ? 'was' : 'were'} moved to 0:00: ${names}`);
+    }
+
+    if (FORMATS_WITH_ENDS.includes(args.to) && !args.duration && data.timestamps.length) {
+        warnings.push(`No --duration given, so the last ${args.to} entry ends where it starts.`);
+    }
+    return warnings;
+}
+
+function validate(input, args) {
+    // Problems with the file itself, then with the chapters YouTube would see
+    const lines = input.problems.slice();
+    const entries = Core.buildExportEntries(input.data, { nesting: 'top', duration: args.duration });
+    const { general, issues } = Core.checkChapters(entries);
+    lines.push(...general);
+    issues.forEach(({ entry, message }) => {
+        lines.push(`${Core.formatTimeSimple(entry.start)} ${entry.description || '(untitled)'}: ${message}`);
+    });
+
+    const count = input.data.timestamps.length;
+    const summary = `${count} ${count === 1 ? 'timestamp' : 'timestamps'}, ${lines.length} ${lines.length === 1 ? 'problem' : 'problems'}.`;
+    return { ok: lines.length === 0, text: [...lines, summary].join('\n') };
+}
+
+function run(argv) {
+    const args = parseArgs(argv);
+    const [command, file, value] = args.positional;
+    if (args.help || !command) {
+        process.stdout.write(fs.readFileSync(__filename, 'utf8').match(/\/\*\*\n([\s\S]*?)\*\//)[1].replace(/^ \* ?/gm, ''));
+        return 0;
+    }
+    if (!COMMANDS.includes(command)) throw new UsageError(`Unknown command "${command}". Use one of: ${COMMANDS.join(', ')}.`);
+    if (!file) throw new UsageError(`${command} needs a file ("-" for stdin).`);
+    if (value === undefined && command === 'shift') throw new UsageError('shift needs an offset, e.g. -5 or +1:30.');
+    if (value === undefined && command === 'rescale') throw new UsageError('rescale needs a playback speed, e.g. 1.25.');
+
+    const input = readInput(file);
+    let data = input.data;
+
+    if (command === 'validate') {
+        const result = validate(input, args);
+        process.stdout.write(result.text + '\n');
+        return result.ok ? 0 : 1;
+    }
+
+    if (command === 'shift') {
+        const offset = Core.parseOffset(value, args.fps);
+        if (isNaN(offset)) throw new UsageError(`Can't read offset "${value}". Use seconds (-5), H:MM:SS (+1:30) or frames (12f).`);
+        data = Core.shiftSession(data, offset);
+    } else if (command === 'rescale') {
+        const speed = Number(value);
+        if (!(speed > 0)) throw new UsageError(`Speed must be a number above 0, got "${value}".`);
+        data = Core.rescaleSession(data, speed);
+    }
+
+    getWarnings(input, data, args).forEach(warning => process.stderr.write(`warning: ${warning}\n`));
+    const output = formatOutput(input, data, args);
+    const text = output.endsWith('\n') ? output : output + '\n';
+    if (args.out) fs.writeFileSync(args.out, text);
+    else process.stdout.write(text);
+    return 0;
+}
+
+try {
+    process.exitCode = run(process.argv.slice(2));
+} catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    process.stderr.write(`error: ${e.message}\n`);
+    process.exitCode = 2;
+}
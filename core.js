@@ -0,0 +1,849 @@
+/**
+ * Timestamp Core
+ * Timing, offsets, formatting, parsing and file formats, with no DOM. The
+ * page loads it as a plain script (window.TimestampCore) and binds it to its
+ * state; cli.js loads it with require(). Functions take the session
+ * ({ timestamps, globalOffset, edits }) or timer state they work on, so the
+ * app's `state` and a saved session file both work.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.TimestampCore = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    /**
+     * Formatting
+     */
+    function pad(num, size = 2) {
+        return num.toString().padStart(size, '0');
+    }
+
+    function formatTimeSimple(totalMs) {
+        // MM:SS or H:MM:SS (For Timestamp Display)
+        if (totalMs < 0) totalMs = 0;
+        const date = new Date(totalMs);
+        const h = date.getUTCHours();
+        const m = date.getUTCMinutes();
+        const s = date.getUTCSeconds();
+
+        if (h > 0) {
+            return `${h}:${pad(m)}:${pad(s)}`;
+        }
+        return `${pad(m)}:${pad(s)}`;
+    }
+
+    function formatTimePrecise(ms, msSeparator = '.') {
+        // HH:MM:SS.mmm (no 24h wrap, used by subtitle/chapter formats)
+        ms = Math.max(0, Math.round(ms));
+        const h = Math.floor(ms / 3600000);
+        const m = Math.floor(ms / 60000) % 60;
+        const s = Math.floor(ms / 1000) % 60;
+        return `${pad(h)}:${pad(m)}:${pad(s)}${msSeparator}${pad(ms % 1000, 3)}`;
+    }
+
+    /**
+     * Timecode
+     * SMPTE HH:MM:SS:FF at a frame rate from FRAME_RATES.
+     */
+    const FRAME_RATES = {
+        // rate = real frames per second, base = frames per timecode second
+        '23.976': { label: '23.976', rate: 24000 / 1001, base: 24 },
+        '24': { label: '24', rate: 24, base: 24 },
+        '25': { label: '25 (PAL)', rate: 25, base: 25 },
+        '29.97': { label: '29.97 non-drop', rate: 30000 / 1001, base: 30 },
+        '29.97df': { label: '29.97 drop-frame', rate: 30000 / 1001, base: 30, drop: 2 },
+        '30': { label: '30', rate: 30, base: 30 },
+        '50': { label: '50', rate: 50, base: 50 },
+        '59.94': { label: '59.94 non-drop', rate: 60000 / 1001, base: 60 },
+        '59.94df': { label: '59.94 drop-frame', rate: 60000 / 1001, base: 60, drop: 4 },
+        '60': { label: '60', rate: 60, base: 60 }
+    };
+
+    function framesToTimecode(frames, fps) {
+        if (fps.drop) {
+            // Drop-frame skips frame numbers 0..drop-1 each minute, except every tenth
+            const perMinute = fps.base * 60 - fps.drop;
+            const perTenMinutes = fps.base * 600 - fps.drop * 9;
+            const tens = Math.floor(frames / perTenMinutes);
+            const rest = frames % perTenMinutes;
+            frames += fps.drop * 9 * tens;
+            if (rest > fps.drop) frames += fps.drop * Math.floor((rest - fps.drop) / perMinute);
+        }
+        const seconds = Math.floor(frames / fps.base);
+        const h = Math.floor(seconds / 3600);
+        const m = Math.floor(seconds / 60) % 60;
+        return `${pad(h)}:${pad(m)}:${pad(seconds % 60)}${fps.drop ? ';' : ':'}${pad(frames % fps.base)}`;
+    }
+
+    function timecodeToFrames(h, m, s, f, fps) {
+        // NaN for out-of-range fields and labels drop-frame skips
+        if (m > 59 || s > 59 || f >= fps.base) return NaN;
+        let frames = ((h * 60 + m) * 60 + s) * fps.base + f;
+        if (fps.drop) {
+            const minutes = h * 60 + m;
+            if (m % 10 !== 0 && s === 0 && f < fps.drop) return NaN; // Skipped label
+            frames -= fps.drop * (minutes - Math.floor(minutes / 10));
+        }
+        return frames;
+    }
+
+    /**
+     * Parsing
+     */
+    const UNSIGNED_NUMBER_RE = /^\d+(\.\d+)?$/;
+
+    function parseTimeString(str, fps = FRAME_RATES['30']) {
+        // "H:MM:SS", "MM:SS" or plain seconds (decimals allowed) -> ms. NaN if invalid.
+        // "HH:MM:SS:FF" (";FF" for drop-frame) is SMPTE timecode at the given frame rate.
+        const timecode = String(str).trim().match(/^(\d+):(\d{1,2}):(\d{1,2})[:;](\d{1,2})$/);
+        if (timecode) return timecodeToFrames(...timecode.slice(1).map(Number), fps) * 1000 / fps.rate;
+
+        // Digits only: no signs, exponents or hex ("1:-5", "1e3", "0x10")
+        const parts = String(str).trim().split(':').map(p => p.trim());
+        if (parts.length > 3 || !parts.every(p => UNSIGNED_NUMBER_RE.test(p))) return NaN;
+        const seconds = parts.reduce((total, p) => total * 60 + Number(p), 0);
+        return seconds * 1000;
+    }
+
+    function parseOffset(str, fps = FRAME_RATES['30']) {
+        // Signed time ("-5", "+1:30", "-0.5") or frame count ("12f") -> ms. NaN if invalid.
+        const match = String(str).trim().match(/^([+-]?)\s*(.*?)\s*(f?)$/i);
+        if (!match || match[2] === '') return NaN;
+        const sign = match[1] === '-' ? -1 : 1;
+        // One sign at most: the rest goes through the unsigned parsers ("--5" is NaN)
+        if (match[3]) return /^\d+$/.test(match[2]) ? sign * Number(match[2]) * 1000 / fps.rate : NaN;
+        return sign * parseTimeString(match[2], fps);
+    }
+
+    /**
+     * Display Time
+     * Raw time + local offset + global offset is the position in the original
+     * VOD; the cut list then maps it to the final video.
+     */
+    function isSegment(ts) {
+        return ts.end !== undefined;
+    }
+
+    function isValidEdit(edit) {
+        if (edit.type === 'cut') return edit.end > edit.start;
+        return edit.duration > 0;
+    }
+
+    function mergeCuts(edits) {
+        // Valid cuts as sorted ranges, overlapping ones joined so shared time is removed once
+        const cuts = edits.filter(edit => edit.type === 'cut' && isValidEdit(edit)).sort((a, b) => a.start - b.start);
+        return cuts.reduce((ranges, cut) => {
+            const last = ranges[ranges.length - 1];
+            if (last && cut.start <= last.end) last.end = Math.max(last.end, cut.end);
+            else ranges.push({ start: cut.start, end: cut.end });
+            return ranges;
+        }, []);
+    }
+
+    function remapTime(ms, edits) {
+        // Later positions shift by the removed/inserted length; positions inside
+        // a removed range move to the cut point
+        let shift = 0;
+        mergeCuts(edits).forEach(range => {
+            if (ms >= range.end) shift -= range.end - range.start;
+            else if (ms > range.start) shift -= ms - range.start; // Inside: snap to the cut point
+        });
+        edits.forEach(edit => {
+            if (edit.type !== 'cut' && isValidEdit(edit) && ms >= edit.start) shift += edit.duration;
+        });
+        return ms + shift;
+    }
+
+    function findCutAt(ms, edits) {
+        return edits.find(edit => edit.type === 'cut' && isValidEdit(edit) && ms > edit.start && ms < edit.end);
+    }
+
+    function getOriginalTime(ts, session) {
+        // Raw (ms) + LocalOffset (ms) + GlobalOffset (sec * 1000): position in the original VOD
+        return ts.rawTime + ts.localOffset + (session.globalOffset * 1000);
+    }
+
+    function calculateDisplayTime(ts, session) {
+        // Offsets first, then the VOD cut list
+        const totalMs = remapTime(getOriginalTime(ts, session), session.edits || []);
+        return Math.max(0, totalMs);
+    }
+
+    function calculateEndDisplayTime(ts, session) {
+        // Same offsets as the start, applied to the end point. Open segments have no end yet.
+        if (!ts.end) return null;
+        return calculateDisplayTime(ts.end, session);
+    }
+
+    /**
+     * Timer
+     * Stopwatch with a playback speed. `timer` is the state it updates
+     * ({ startTime, accumulated, realAccumulated, isRunning, speed, speedLog });
+     * `clock.now()` is any monotonic millisecond clock, so it can be faked.
+     */
+    const defaultClock = { now: () => performance.now() };
+
+    function createTimer(timer, clock = defaultClock) {
+        const stopwatch = {
+            now: () => clock.now(),
+            start: () => {
+                if (timer.isRunning) return false;
+                timer.startTime = clock.now();
+                timer.isRunning = true;
+                return true;
+            },
+            pause: () => {
+                if (!timer.isRunning) return false;
+                stopwatch.checkpoint();
+                timer.isRunning = false;
+                timer.startTime = null;
+                return true;
+            },
+            checkpoint: () => {
+                // Fold the running time into accumulated, at the current speed
+                if (!timer.isRunning) return;
+                const now = clock.now();
+                const elapsedReal = now - timer.startTime;
+                timer.accumulated += elapsedReal * timer.speed;
+                timer.realAccumulated += elapsedReal;
+                timer.startTime = now;
+            },
+            reset: () => {
+                timer.isRunning = false;
+                timer.accumulated = 0;
+                timer.realAccumulated = 0;
+                timer.speedLog = [{ realStart: 0, scaledStart: 0, speed: timer.speed, jump: true }];
+                timer.startTime = null;
+            },
+            setSpeed: (speed) => {
+                stopwatch.checkpoint();
+                timer.speed = speed;
+            },
+            setTime: (ms) => {
+                // Jump to an absolute position; real time keeps counting
+                timer.accumulated = ms;
+                if (timer.isRunning) {
+                    const now = clock.now();
+                    timer.realAccumulated += now - timer.startTime;
+                    timer.startTime = now;
+                }
+            },
+            rebase: (ms, realMs) => {
+                // Continue from a known position, e.g. after correcting the speed log
+                timer.accumulated = ms;
+                if (timer.isRunning) {
+                    timer.realAccumulated = realMs;
+                    timer.startTime = clock.now();
+                }
+            },
+            getRealTime: () => {
+                // Unscaled stopwatch time; the speed log maps it to timer time
+                if (!timer.isRunning) return timer.realAccumulated;
+                return timer.realAccumulated + (clock.now() - timer.startTime);
+            },
+            getCurrentTime: () => {
+                if (!timer.isRunning) return timer.accumulated;
+                return timer.accumulated + (clock.now() - timer.startTime) * timer.speed;
+            },
+            logSegment: (jump) => {
+                // Start a new speed-log segment at the current position
+                const log = timer.speedLog;
+                const entry = {
+                    realStart: stopwatch.getRealTime(),
+                    scaledStart: stopwatch.getCurrentTime(),
+                    speed: timer.speed
+                };
+                const last = log[log.length - 1];
+                if (last && last.realStart === entry.realStart) {
+                    // Nothing ran since the last change (e.g. typing into the speed field while paused)
+                    if (last.jump) entry.jump = true;
+                    log[log.length - 1] = entry;
+                } else {
+                    log.push(entry);
+                }
+                if (jump) entry.jump = true;
+            }
+        };
+        return stopwatch;
+    }
+
+    function scaledTimeAt(log, realMs) {
+        // Timer time at a real (unscaled) time, per the speed log
+        let segment = log[0];
+        for (const s of log) {
+            if (s.realStart > realMs) break;
+            segment = s;
+        }
+        return segment.scaledStart + (realMs - segment.realStart) * segment.speed;
+    }
+
+    /**
+     * Nesting
+     * Entries form an outline in list order: `level` 1 is a child of the closest
+     * entry above it at level 0, and so on. Stored levels are clamped so an entry
+     * is never deeper than one below its predecessor.
+     */
+    const MAX_LEVEL = 2;
+
+    function getOutlineLevels(timestamps) {
+        const levels = new Map();
+        let prev = -1;
+        timestamps.forEach(ts => {
+            const level = Math.max(0, Math.min(ts.level || 0, prev + 1, MAX_LEVEL));
+            levels.set(ts.id, level);
+            prev = level;
+        });
+        return levels;
+    }
+
+    function getOutlineNumbers(timestamps, levels) {
+        // "1", "1.1", "1.2", "2" ...
+        const numbers = new Map();
+        const counters = [];
+        timestamps.forEach(ts => {
+            const level = Math.min(levels.get(ts.id), counters.length);
+            counters.length = level + 1;
+            counters[level] = (counters[level] || 0) + 1;
+            numbers.set(ts.id, counters.join('.'));
+        });
+        return numbers;
+    }
+
+    /**
+     * Text Import
+     * Parses pasted text (e.g. a YouTube description) back into timestamps.
+     * Inverse of the plain text export.
+     */
+    // A H:MM:SS or MM:SS token that isn't part of a longer number/time
+    const TIME_TOKEN_RE = /(?:^|[^\d:])((?:\d{1,2}:)?\d{1,2}:\d{2})(?![\d:])/;
+    // Separators and brackets around the time ("[00:12]", "0:00 - ", "| ", "(1:02)")
+    const EDGE_SEPARATORS_RE = /^[\s\-–—|:,()\[\]{}<>•*~=]+|[\s\-–—|:,()\[\]{}<>•*~=]+$/g;
+    // List numbering in front of the time ("1. 0:00 Intro")
+    const LIST_NUMBER_RE = /^\s*\d+[.)]\s*$/;
+
+    function parseTimestampText(text) {
+        const entries = [];
+        const skipped = [];
+
+        text.split(/\r?\n/).forEach((line, i) => {
+            if (!line.trim()) return;
+
+            const match = line.match(TIME_TOKEN_RE);
+            if (!match) {
+                skipped.push({ line: i + 1, text: line.trim() });
+                return;
+            }
+
+            const start = match.index + match[0].length - match[1].length;
+            let before = line.slice(0, start).replace(EDGE_SEPARATORS_RE, '');
+            const after = line.slice(start + match[1].length).replace(EDGE_SEPARATORS_RE, '');
+            if (LIST_NUMBER_RE.test(before)) before = '';
+
+            entries.push({
+                time: parseTimeString(match[1]),
+                description: [before, after].filter(Boolean).join(' ')
+            });
+        });
+
+        return { entries, skipped };
+    }
+
+    /**
+     * Session Schema
+     * Saved sessions carry a version. On load they are migrated to the current
+     * version, then every field is checked and repaired so one bad entry can't
+     * break rendering. Bump SCHEMA_VERSION and add a migration when the format changes.
+     */
+    const SCHEMA_VERSION = 1;
+    const PROJECT_FILE_TYPE = 'yt-timestamp-maker-project';
+
+    const SESSION_MIGRATIONS = {
+        // from version -> upgrade to the next one
+        // Version 1 only added the version field. Fields older sessions lack
+        // (speed log, cut list) get their defaults in validateSession.
+        0: (data) => data
+    };
+
+    const isFiniteNumber = (value) => typeof value === 'number' && isFinite(value);
+
+    function toTimeMs(value) {
+        // Numbers as-is, numeric strings and "H:MM:SS" strings parsed. NaN otherwise.
+        if (isFiniteNumber(value)) return value;
+        if (typeof value !== 'string' || value.trim() === '') return NaN;
+        const number = Number(value);
+        return isFinite(number) ? number : parseTimeString(value);
+    }
+
+    function validateTimestamps(list, problems) {
+        if (!Array.isArray(list)) {
+            if (list !== undefined) problems.push('The timestamp list was unreadable and has been emptied.');
+            return [];
+        }
+
+        const ids = new Set();
+        const valid = [];
+        list.forEach((ts, i) => {
+            const where = `Entry ${i + 1}`;
+            if (!ts || typeof ts !== 'object') {
+                problems.push(`${where} was not a timestamp and has been left out.`);
+                return;
+            }
+
+            const rawTime = toTimeMs(ts.rawTime);
+            if (isNaN(rawTime)) {
+                problems.push(`${where} ("${String(ts.description || '').slice(0, 30)}") had no usable time and has been left out.`);
+                return;
+            }
+            if (rawTime !== ts.rawTime) problems.push(`${where}: time was stored as text and has been converted.`);
+            ts.rawTime = rawTime;
+
+            if (!Number.isInteger(ts.id) || ids.has(ts.id)) {
+                problems.push(`${where}: missing or duplicate id, given a new one.`);
+                ts.id = null; // Numbered after the loop, above every valid id
+            } else {
+                ids.add(ts.id);
+            }
+
+            if (typeof ts.description !== 'string') {
+                if (ts.description != null) problems.push(`${where}: description was not text and has been converted.`);
+                ts.description = ts.description == null ? '' : String(ts.description);
+            }
+            if (!isFiniteNumber(ts.localOffset)) {
+                if (ts.localOffset !== undefined) problems.push(`${where}: offset was not a number and has been reset to 0.`);
+                ts.localOffset = 0;
+            }
+            if (ts.realTime !== undefined && !isFiniteNumber(ts.realTime)) delete ts.realTime;
+
+            if (ts.end !== undefined && ts.end !== null) {
+                const end = ts.end;
+                const endTime = typeof end === 'object' ? toTimeMs(end.rawTime) : NaN;
+                if (isNaN(endTime)) {
+                    problems.push(`${where}: segment end was unreadable, kept as a single mark.`);
+                    delete ts.end;
+                } else {
+                    end.rawTime = endTime;
+                    if (!isFiniteNumber(end.localOffset)) end.localOffset = 0;
+                    if (end.realTime !== undefined && !isFiniteNumber(end.realTime)) delete end.realTime;
+                }
+            }
+
+            if (ts.category !== undefined && ts.category !== null && !Number.isInteger(ts.category)) delete ts.category;
+            if (ts.level !== undefined) {
+                const level = Math.min(MAX_LEVEL, Math.max(0, Math.round(Number(ts.level)) || 0));
+                if (level) ts.level = level;
+                else delete ts.level;
+            }
+
+            valid.push(ts);
+        });
+
+        let nextId = Math.max(0, ...ids) + 1;
+        valid.forEach(ts => {
+            if (ts.id === null) ts.id = nextId++;
+        });
+        return valid;
+    }
+
+    function validateSession(data, problems) {
+        const number = (key, fallback, isValid = () => true) => {
+            if (data[key] === undefined) return fallback;
+            if (isFiniteNumber(data[key]) && isValid(data[key])) return data[key];
+            problems.push(`Saved ${key} was invalid and has been reset.`);
+            return fallback;
+        };
+
+        const edits = Array.isArray(data.edits) ? data.edits : [];
+        const validEdits = edits.filter(edit => edit && (edit.type === 'cut' || edit.type === 'insert')
+            && Number.isInteger(edit.id) && isFiniteNumber(edit.start)
+            && isFiniteNumber(edit.type === 'cut' ? edit.end : edit.duration));
+        const dropped = edits.length - validEdits.length;
+        if (dropped) problems.push(`${dropped} unreadable cut list ${dropped === 1 ? 'entry has' : 'entries have'} been left out.`);
+
+        const log = Array.isArray(data.speedLog) ? data.speedLog : [];
+        const logIsValid = log.length > 0 && log.every(s => s && isFiniteNumber(s.realStart)
+            && isFiniteNumber(s.scaledStart) && isFiniteNumber(s.speed) && s.speed > 0);
+
+        const session = {
+            version: SCHEMA_VERSION,
+            timestamps: validateTimestamps(data.timestamps, problems),
+            globalOffset: number('globalOffset', 0),
+            edits: validEdits,
+            timerAccumulated: number('timerAccumulated', 0, v => v >= 0),
+            timerRealAccumulated: number('timerRealAccumulated', 0, v => v >= 0),
+            speed: number('speed', 1.0, v => v > 0)
+        };
+        if (logIsValid) {
+            session.speedLog = log;
+        } else {
+            // Sessions from before the speed log start one at the saved position
+            if (data.speedLog !== undefined) problems.push('The speed history was unreadable and has been restarted.');
+            session.speedLog = [{
+                realStart: session.timerRealAccumulated,
+                scaledStart: session.timerAccumulated,
+                speed: session.speed,
+                jump: true
+            }];
+        }
+        return session;
+    }
+
+    function loadSessionData(raw) {
+        // Saved data -> { data, problems }. data is always safe to apply.
+        const problems = [];
+        let data = raw;
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            if (data != null) problems.push('The saved session was unreadable. Starting empty.');
+            data = {};
+        }
+        data = JSON.parse(JSON.stringify(data)); // Repairs never touch the original
+
+        let version = Number.isInteger(data.version) ? data.version : 0;
+        if (version > SCHEMA_VERSION) {
+            problems.push(`Saved by a newer version of the app (format ${version}). Some details may be lost.`);
+        }
+        while (version < SCHEMA_VERSION) {
+            data = SESSION_MIGRATIONS[version](data);
+            version++;
+        }
+
+        return { data: validateSession(data, problems), problems };
+    }
+
+    function sessionFromEntries(entries) {
+        // Parsed text entries ({ time, description }) -> session data
+        return loadSessionData({
+            version: SCHEMA_VERSION,
+            timestamps: entries.map((entry, i) => ({
+                id: i + 1,
+                rawTime: entry.time,
+                description: entry.description,
+                localOffset: 0
+            }))
+        }).data;
+    }
+
+    /**
+     * Transforms
+     * Whole-session edits for scripts. Both return a new session.
+     */
+    function shiftSession(data, deltaMs) {
+        // Same as changing the global offset in the app, so cut list positions stay put
+        const session = JSON.parse(JSON.stringify(data));
+        session.globalOffset = (session.globalOffset || 0) + deltaMs / 1000;
+        return session;
+    }
+
+    function rescaleSession(data, speed) {
+        // Times for the video played back (or re-encoded) at `speed`: every
+        // position on the video timeline is divided by it. Offsets and the cut
+        // list scale too, so display times scale exactly.
+        const session = JSON.parse(JSON.stringify(data));
+        const scale = (ms) => ms / speed;
+        const scalePoint = (point) => {
+            point.rawTime = scale(point.rawTime);
+            point.localOffset = scale(point.localOffset);
+        };
+
+        session.timestamps.forEach(ts => {
+            scalePoint(ts);
+            if (ts.end) scalePoint(ts.end);
+        });
+        session.globalOffset = scale(session.globalOffset || 0);
+        (session.edits || []).forEach(edit => {
+            edit.start = scale(edit.start);
+            if (edit.type === 'cut') edit.end = scale(edit.end);
+            else edit.duration = scale(edit.duration);
+        });
+        // Real (wall clock) times stay; the timer runs `speed` times slower against them
+        (session.speedLog || []).forEach(segment => {
+            segment.scaledStart = scale(segment.scaledStart);
+            segment.speed = scale(segment.speed);
+        });
+        if (isFiniteNumber(session.timerAccumulated)) session.timerAccumulated = scale(session.timerAccumulated);
+        return session;
+    }
+
+    /**
+     * Export
+     * Each format turns the export entries into a file. Add a key to ExportFormats
+     * to add a format; the app's export dialog and the CLI list them automatically.
+     */
+    function buildExportEntries(session, options = {}) {
+        // Entries in list order. Chapter end = next entry in time, or
+        // options.duration (else the last start) for the last one.
+        // options.include(ts): filter, all entries when omitted
+        // options.getCategory(ts): { name, color } or null
+        // options.nesting: 'flat' (default), 'top' (top level only), 'indent' or 'number'
+        const nesting = options.nesting || 'flat';
+        const levels = getOutlineLevels(session.timestamps);
+        let included = options.include ? session.timestamps.filter(options.include) : session.timestamps;
+        if (nesting === 'top') included = included.filter(ts => levels.get(ts.id) === 0);
+
+        const numbers = getOutlineNumbers(included, levels);
+        const entries = included.map(ts => {
+            const level = levels.get(ts.id);
+            let description = ts.description || '';
+            if (nesting === 'indent') description = '  '.repeat(level) + description;
+            if (nesting === 'number') description = `${numbers.get(ts.id)} ${description}`.trim();
+
+            return {
+                ts,
+                start: calculateDisplayTime(ts, session),
+                end: null,
+                clipEnd: calculateEndDisplayTime(ts, session), // Segments only
+                category: options.getCategory ? options.getCategory(ts) : null,
+                level,
+                number: numbers.get(ts.id),
+                description
+            };
+        });
+
+        const chronological = sortByStart(entries);
+        const lastEnd = options.duration > 0 ? options.duration : 0;
+        chronological.forEach((entry, i) => {
+            const next = chronological[i + 1];
+            entry.end = next ? next.start : Math.max(lastEnd, entry.start);
+        });
+
+        return entries;
+    }
+
+    function sortByStart(entries) {
+        return [...entries].sort((a, b) => a.start - b.start);
+    }
+
+    function escapeCsv(value) {
+        const str = String(value);
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    }
+
+    function escapeFfmetadata(value) {
+        // '=', ';', '#', '\' and newlines must be backslash-escaped
+        return String(value).replace(/[=;#\\\n]/g, c => '\\' + c);
+    }
+
+    function getClips(entries) {
+        // Closed segments only, in time order
+        return sortByStart(entries.filter(e => e.clipEnd !== null));
+    }
+
+    function formatEdlTimecode(ms, fps = 30) {
+        // HH:MM:SS:FF, non-drop-frame
+        const frames = Math.round(Math.max(0, ms) / 1000 * fps);
+        const totalSeconds = Math.floor(frames / fps);
+        return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}:${pad(frames % fps)}`;
+    }
+
+    function toSafeFileName(str) {
+        return str.replace(/[\\/:*?"<>|$`]/g, '').replace(/\s+/g, ' ').trim();
+    }
+
+    function formatCueTime(ms) {
+        // MM:SS:FF with 75 frames per second
+        const frames = Math.round(Math.max(0, ms) / 1000 * 75);
+        const m = Math.floor(frames / 75 / 60);
+        const s = Math.floor(frames / 75) % 60;
+        return `${pad(m)}:${pad(s)}:${pad(frames % 75)}`;
+    }
+
+    const ExportFormats = {
+        // format(entries, ctx): ctx = { globalOffset, speed, edits?, fileName?, title? }
+        text: {
+            label: 'Plain text (YouTube description)',
+            extension: 'txt',
+            mimeType: 'text/plain',
+            format: (entries) => entries.map(e => `${formatTimeSimple(e.start)} ${e.description}`).join('\n')
+        },
+        vtt: {
+            label: 'WebVTT chapters',
+            extension: 'vtt',
+            mimeType: 'text/vtt',
+            format: (entries) => 'WEBVTT\n\n' + sortByStart(entries).map((e, i) =>
+                `${i + 1}\n${formatTimePrecise(e.start)} --> ${formatTimePrecise(e.end)}\n${e.description}\n`
+            ).join('\n')
+        },
+        srt: {
+            label: 'SRT subtitles',
+            extension: 'srt',
+            mimeType: 'application/x-subrip',
+            format: (entries) => sortByStart(entries).map((e, i) =>
+                `${i + 1}\n${formatTimePrecise(e.start, ',')} --> ${formatTimePrecise(e.end, ',')}\n${e.description}\n`
+            ).join('\n')
+        },
+        ffmetadata: {
+            label: 'FFmpeg metadata (FFMETADATA1)',
+            extension: 'txt',
+            mimeType: 'text/plain',
+            format: (entries) => ';FFMETADATA1\n' + sortByStart(entries).map(e =>
+                `\n[CHAPTER]\nTIMEBASE=1/1000\nSTART=${Math.round(e.start)}\nEND=${Math.round(e.end)}\ntitle=${escapeFfmetadata(e.description)}\n`
+            ).join('')
+        },
+        cue: {
+            label: 'CUE sheet',
+            extension: 'cue',
+            mimeType: 'application/x-cue',
+            format: (entries, ctx) => {
+                const fileName = ctx.fileName || 'audio.wav';
+                const ext = fileName.split('.').pop().toLowerCase();
+                const fileType = ext === 'mp3' ? 'MP3' : (ext === 'aif' || ext === 'aiff') ? 'AIFF' : 'WAVE';
+                const quote = (str) => `"${String(str).replace(/"/g, "'")}"`;
+
+                // CUE sheets are limited to 99 tracks
+                const tracks = sortByStart(entries).slice(0, 99).map((e, i) =>
+                    `  TRACK ${pad(i + 1)} AUDIO\n    TITLE ${quote(e.description)}\n    INDEX 01 ${formatCueTime(e.start)}`
+                );
+                return [`FILE ${quote(fileName)} ${fileType}`, ...tracks].join('\n') + '\n';
+            }
+        },
+        csv: {
+            label: 'CSV',
+            extension: 'csv',
+            mimeType: 'text/csv',
+            format: (entries) => {
+                const header = 'index,start,end,start_ms,end_ms,raw_ms,local_offset_ms,category,description';
+                const rows = entries.map((e, i) => [
+                    i + 1,
+                    formatTimePrecise(e.start),
+                    formatTimePrecise(e.end),
+                    Math.round(e.start),
+                    Math.round(e.end),
+                    Math.round(e.ts.rawTime),
+                    Math.round(e.ts.localOffset),
+                    escapeCsv(e.category ? e.category.name : ''),
+                    escapeCsv(e.description)
+                ].join(','));
+                return [header, ...rows].join('\r\n') + '\r\n';
+            }
+        },
+        clips: {
+            label: 'Clip list (segments)',
+            extension: 'txt',
+            mimeType: 'text/plain',
+            format: (entries) => getClips(entries).map((e, i) =>
+                `${i + 1}. ${formatTimeSimple(e.start)} - ${formatTimeSimple(e.clipEnd)} (${formatTimeSimple(e.clipEnd - e.start)}) ${e.description}`.trim()
+            ).join('\n')
+        },
+        ffmpeg: {
+            label: 'FFmpeg cut script (segments)',
+            extension: 'sh',
+            mimeType: 'text/x-shellscript',
+            format: (entries, ctx) => {
+                const input = ctx.fileName || 'input.mp4';
+                const ext = input.includes('.') ? input.split('.').pop() : 'mp4';
+                const lines = getClips(entries).map((e, i) => {
+                    const name = toSafeFileName(`${pad(i + 1)} - ${e.description || 'clip'}`);
+                    return `ffmpeg -ss ${formatTimePrecise(e.start)} -to ${formatTimePrecise(e.clipEnd)} -i "$INPUT" -c copy "${name}.${ext}"`;
+                });
+                return [
+                    '#!/bin/sh',
+                    '# Usage: sh cut.sh [input file]',
+                    `INPUT="\${1:-${input.replace(/["$`\\]/g, '')}}"`,
+                    '',
+                    ...lines
+                ].join('\n') + '\n';
+            }
+        },
+        edl: {
+            label: 'EDL (CMX 3600, segments)',
+            extension: 'edl',
+            mimeType: 'text/plain',
+            format: (entries, ctx) => {
+                const lines = ['TITLE: ' + (ctx.title || 'timestamps'), 'FCM: NON-DROP FRAME', ''];
+                let recordIn = 0;
+                getClips(entries).forEach((e, i) => {
+                    const length = e.clipEnd - e.start;
+                    lines.push(`${pad(i + 1, 3)}  AX       V     C        ${formatEdlTimecode(e.start)} ${formatEdlTimecode(e.clipEnd)} ${formatEdlTimecode(recordIn)} ${formatEdlTimecode(recordIn + length)}`);
+                    if (ctx.fileName) lines.push(`* FROM CLIP NAME: ${ctx.fileName}`);
+                    if (e.description) lines.push(`* COMMENT: ${e.description}`);
+                    lines.push('');
+                    recordIn += length;
+                });
+                return lines.join('\n');
+            }
+        },
+        json: {
+            label: 'JSON (lossless, includes offsets)',
+            extension: 'json',
+            mimeType: 'application/json',
+            // Everything needed to load the list back: stored fields as-is, display times alongside
+            format: (entries, ctx) => JSON.stringify({
+                globalOffset: ctx.globalOffset,
+                speed: ctx.speed,
+                edits: ctx.edits || [],
+                timestamps: entries.map(e => Object.assign({
+                    id: e.ts.id,
+                    rawTime: e.ts.rawTime,
+                    localOffset: e.ts.localOffset,
+                    description: e.ts.description || '', // Without the indent/number prefix
+                    displayTime: e.start
+                },
+                e.ts.level ? { level: e.ts.level } : {},
+                Number.isInteger(e.ts.category) ? { category: e.ts.category } : {},
+                e.category ? { categoryName: e.category.name } : {},
+                isSegment(e.ts) ? { end: e.ts.end, displayEnd: e.clipEnd } : {}))
+            }, null, 2)
+        }
+    };
+
+    /**
+     * Chapter Checks
+     * Problems that stop YouTube from showing chapters. Takes top-level export
+     * entries; each issue names its entry and a `type` the app offers a fix for.
+     */
+    const MIN_CHAPTERS = 3;
+    const MIN_CHAPTER_MS = 10000;
+
+    function checkChapters(entries) {
+        const general = [];
+        const issues = [];
+        const flag = (type, entry, message, other) => issues.push({ type, entry, message, other });
+        if (entries.length === 0) return { general, issues };
+
+        if (entries.length < MIN_CHAPTERS) {
+            general.push(`YouTube needs at least ${MIN_CHAPTERS} chapters (currently ${entries.length}).`);
+        }
+
+        // YouTube only sees whole seconds
+        const seconds = (e) => Math.floor(e.start / 1000);
+        const chronological = sortByStart(entries);
+
+        const first = chronological[0];
+        if (seconds(first) !== 0) flag('start', first, 'First chapter must start at 0:00.');
+
+        // List order must match time order
+        for (let i = 1; i < entries.length; i++) {
+            if (entries[i].start < entries[i - 1].start) flag('order', entries[i], 'Out of order.');
+        }
+
+        chronological.forEach((entry, i) => {
+            const prev = chronological[i - 1];
+            // Duplicates are reported on their own, so measure up to the next distinct time
+            const next = chronological.slice(i + 1).find(e => seconds(e) !== seconds(entry));
+
+            if (prev && seconds(prev) === seconds(entry)) {
+                flag('duplicate', entry, `Same time as "${prev.description || 'untitled'}".`, prev);
+            } else if (next && seconds(next) - seconds(entry) < MIN_CHAPTER_MS / 1000) {
+                // The last chapter runs to the end of the video, so it's never "short" here
+                flag('short', entry, `Shorter than ${MIN_CHAPTER_MS / 1000} seconds.`, prev || next);
+            }
+
+            if (!entry.description.trim()) flag('empty', entry, 'Empty description.');
+        });
+
+        return { general, issues };
+    }
+
+    return {
+        pad, formatTimeSimple, formatTimePrecise,
+        FRAME_RATES, framesToTimecode, timecodeToFrames,
+        parseTimeString, parseOffset,
+        isSegment, isValidEdit, remapTime, findCutAt, getOriginalTime, calculateDisplayTime, calculateEndDisplayTime,
+        createTimer, scaledTimeAt,
+        MAX_LEVEL, getOutlineLevels, getOutlineNumbers,
+        parseTimestampText,
+        SCHEMA_VERSION, PROJECT_FILE_TYPE, isFiniteNumber, loadSessionData, sessionFromEntries,
+        shiftSession, rescaleSession,
+        buildExportEntries, sortByStart, toSafeFileName, ExportFormats,
+        MIN_CHAPTERS, MIN_CHAPTER_MS, checkChapters
+    };
+});
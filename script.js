@@ -8,39 +8,68 @@ const state = {
         accumulated: 0,       // Duration accumulated from previous sessions (scaled time)
         isRunning: false,
         rafId: null,
-        speed: 1.0            // Playback speed multiplier
+        speed: 1.0,           // Playback speed multiplier
+        realAccumulated: 0,   // Real (unscaled) running time from previous sessions
+        // Speed timeline: { realStart, scaledStart, speed, jump? } per speed change.
+        // jump = timer was set to scaledStart (manual edit/reset) rather than reaching it.
+        speedLog: [{ realStart: 0, scaledStart: 0, speed: 1.0, jump: true }]
+    },
+    // Media mode: timer follows a local <video>/<audio> file instead of the stopwatch
+    media: {
+        active: false,
+        fileName: '',
+        objectUrl: null
     },
     // Data
-    timestamps: [],           // Array of { id, rawTime (ms), description, localOffset (ms) }
+    timestamps: [],           // Array of { id, rawTime (ms), description, localOffset (ms), end?, category?, level? }
+                              // end: undefined = point marker, null = open segment,
+                              //      { rawTime, localOffset } = closed segment
     globalOffset: 0,          // Global offset in seconds (float)
+    edits: [],                // VOD cut list: { id, type: 'cut'|'insert', start (ms), end (ms, cut) | duration (ms, insert) }
 
     // Config
     nextId: 1
 };
 
+/**
+ * Core
+ * Timing, formatting, parsing and file formats live in core.js (no DOM), shared
+ * with the command-line tool. The functions below bind them to `state`.
+ */
+const {
+    pad, formatTimeSimple, formatTimePrecise, FRAME_RATES, parseTimestampText,
+    isSegment, isValidEdit, MAX_LEVEL, SCHEMA_VERSION, PROJECT_FILE_TYPE,
+    loadSessionData, ExportFormats, MIN_CHAPTER_MS
+} = TimestampCore;
+
+const Stopwatch = TimestampCore.createTimer(state.timer, { now: () => performance.now() });
+
 /**
  * Timer Logic
- * High precision timer using performance.now()
- * NOW WITH SPEED SUPPORT
+ * The core Stopwatch does the clock math; this adds media mode, syncing and UI.
  */
 const Timer = {
     start: () => {
         if (state.timer.isRunning) return;
-        state.timer.startTime = performance.now();
-        state.timer.isRunning = true;
+        TabSync.claimTimer();
+        if (MediaSync.isActive()) {
+            // The player's 'play' event updates state
+            MediaSync.play();
+            return;
+        }
+        Stopwatch.start();
         tick();
         updateControls();
+        saveState(); // Lets other tabs follow
     },
     pause: () => {
         if (!state.timer.isRunning) return;
-        const now = performance.now();
-        // Calculate accrued time at current speed
-        const elapsedReal = now - state.timer.startTime;
-        const elapsedScaled = elapsedReal * state.timer.speed;
-
-        state.timer.accumulated += elapsedScaled;
-        state.timer.isRunning = false;
-        state.timer.startTime = null;
+        TabSync.claimTimer();
+        if (MediaSync.isActive()) {
+            MediaSync.pause();
+            return;
+        }
+        Stopwatch.pause();
         if (state.timer.rafId) cancelAnimationFrame(state.timer.rafId);
         updateTimerDisplay();
         updateControls();
@@ -56,10 +85,15 @@ const Timer = {
             if (!confirmed) return;
         }
 
-        state.timer.isRunning = false;
-        state.timer.accumulated = 0;
-        state.timer.startTime = null;
+        Snapshots.take('Before reset');
+        History.record('Reset', { timer: true });
+        TabSync.claimTimer();
+        Stopwatch.reset();
         if (state.timer.rafId) cancelAnimationFrame(state.timer.rafId);
+        if (MediaSync.isActive()) {
+            MediaSync.pause();
+            MediaSync.seek(0);
+        }
 
         // Keep speed or reset? Usually reset speed too? Or keep?
         // Let's keep speed as a preference, but maybe reset to 1?
@@ -73,43 +107,192 @@ const Timer = {
         // simpler to just wipe and let loadState handle or just re-save partial?
         // `reset` implies fresh start. Let's wipe everything but maybe restore configured speed if UI says so?
         // Actually saveState() overwrites everything.
-
-        localStorage.removeItem('yt_ts_maker_data');
+        // With projects, reset empties the current project but keeps the project itself.
 
         // Re-read speed from UI to be sure (state.timer.speed is current)
 
         updateTimerDisplay();
         updateControls();
         renderTimestamps();
+        saveState();
+        showUndoToast('Timer reset and timestamps cleared.');
+        announce('Timer reset and timestamps cleared.');
     },
     setSpeed: (newSpeed) => {
         const speed = parseFloat(newSpeed);
         if (isNaN(speed) || speed <= 0) return;
-
-        if (state.timer.isRunning) {
-            // Checkpoint current time at OLD speed
-            const now = performance.now();
-            const elapsedReal = now - state.timer.startTime;
-            const elapsedScaled = elapsedReal * state.timer.speed;
-
-            state.timer.accumulated += elapsedScaled;
-            state.timer.startTime = now; // Restart clock base
+        // The field fires 'input' and then 'change' for one edit; log the speed once
+        if (speed === state.timer.speed) return;
+        TabSync.claimTimer();
+
+        if (MediaSync.isActive()) {
+            state.timer.speed = speed;
+            MediaSync.setRate(speed);
+        } else {
+            // Time so far counts at the OLD speed
+            Stopwatch.setSpeed(speed);
+            Stopwatch.logSegment(false);
         }
-
-        state.timer.speed = speed;
         // Optionally flash a message or update UI? The select box updates itself.
         saveState();
         if (!state.timer.isRunning) {
             updateTimerDisplay(); // Just in case, though paused time doesn't change immediately
         }
     },
+    setTime: (ms) => {
+        // Jump to an absolute position (manual edit, seeking)
+        TabSync.claimTimer();
+        ms = Math.max(0, ms);
+        if (MediaSync.isActive()) {
+            state.timer.accumulated = ms;
+            MediaSync.seek(ms);
+        } else {
+            Stopwatch.setTime(ms);
+            Stopwatch.logSegment(true);
+        }
+        updateTimerDisplay();
+        saveState();
+    },
+    getRealTime: () => {
+        // Unscaled stopwatch time; the speed log maps it to timer time
+        if (MediaSync.isActive()) return state.timer.realAccumulated;
+        return Stopwatch.getRealTime();
+    },
     getCurrentTime: () => {
-        if (!state.timer.isRunning) {
-            return state.timer.accumulated;
+        if (MediaSync.isActive()) {
+            return MediaSync.getTime();
         }
-        const now = performance.now();
-        const elapsedReal = now - state.timer.startTime;
-        return state.timer.accumulated + (elapsedReal * state.timer.speed);
+        return Stopwatch.getCurrentTime();
+    }
+};
+
+/**
+ * Media Mode
+ * Drives the Timer from a local video/audio file. The <video> element is the
+ * source of truth: its play/pause/seek/rate events are mirrored into state.timer.
+ */
+const MediaSync = {
+    getEl: () => document.getElementById('media-player'),
+    isActive: () => state.media.active,
+    getTime: () => {
+        const el = MediaSync.getEl();
+        return el ? el.currentTime * 1000 : state.timer.accumulated;
+    },
+    open: (file) => {
+        const el = MediaSync.getEl();
+        if (!el || !file) return;
+
+        // Stopwatch and media can't both run
+        if (state.timer.isRunning) Timer.pause();
+        if (state.media.objectUrl) URL.revokeObjectURL(state.media.objectUrl);
+
+        state.media.active = true;
+        state.media.fileName = file.name;
+        state.media.objectUrl = URL.createObjectURL(file);
+
+        el.src = state.media.objectUrl;
+        el.playbackRate = state.timer.speed;
+        el.hidden = false;
+        document.getElementById('media-file-name').textContent = file.name;
+        document.getElementById('btn-media-close').hidden = false;
+        document.getElementById('timestamp-list').classList.add('media-linked');
+        updateTimerDisplay();
+    },
+    close: () => {
+        const el = MediaSync.getEl();
+        if (!el || !state.media.active) return;
+
+        // Keep the last media position as the stopwatch position
+        el.pause();
+        state.timer.accumulated = el.currentTime * 1000;
+        state.timer.isRunning = false;
+        state.media.active = false;
+        state.media.fileName = '';
+
+        // Stopwatch resumes from the media position
+        Stopwatch.logSegment(true);
+
+        el.removeAttribute('src');
+        el.load();
+        el.hidden = true;
+        if (state.media.objectUrl) URL.revokeObjectURL(state.media.objectUrl);
+        state.media.objectUrl = null;
+
+        document.getElementById('media-file-name').textContent = 'No file loaded';
+        document.getElementById('btn-media-close').hidden = true;
+        document.getElementById('timestamp-list').classList.remove('media-linked');
+        updateTimerDisplay();
+        updateControls();
+        saveState();
+    },
+    play: () => {
+        const el = MediaSync.getEl();
+        const promise = el.play();
+        if (promise) promise.catch(e => console.error("Failed to play media", e));
+    },
+    pause: () => MediaSync.getEl().pause(),
+    seek: (ms) => {
+        const el = MediaSync.getEl();
+        if (!el) return;
+        el.currentTime = Math.max(0, ms) / 1000;
+    },
+    setRate: (speed) => {
+        const el = MediaSync.getEl();
+        if (el && el.playbackRate !== speed) el.playbackRate = speed;
+    },
+    seekTo: (ms) => {
+        // Used by clickable timestamps; no-op in stopwatch mode
+        if (!MediaSync.isActive()) return;
+        MediaSync.seek(ms);
+    },
+    init: () => {
+        const el = MediaSync.getEl();
+        if (!el) return;
+
+        el.addEventListener('play', () => {
+            if (!MediaSync.isActive()) return;
+            TabSync.claimTimer(); // Also when started from the player's own controls
+            state.timer.isRunning = true;
+            tick();
+            updateControls();
+            saveState(); // Lets other tabs follow
+        });
+
+        const onStop = () => {
+            if (!MediaSync.isActive()) return;
+            state.timer.isRunning = false;
+            state.timer.accumulated = el.currentTime * 1000;
+            if (state.timer.rafId) cancelAnimationFrame(state.timer.rafId);
+            updateTimerDisplay();
+            updateControls();
+            saveState();
+        };
+        el.addEventListener('pause', onStop);
+        el.addEventListener('ended', onStop);
+
+        el.addEventListener('seeked', () => {
+            if (!MediaSync.isActive()) return;
+            state.timer.accumulated = el.currentTime * 1000;
+            updateTimerDisplay();
+        });
+
+        el.addEventListener('ratechange', () => {
+            if (!MediaSync.isActive()) return;
+            // Native player controls may change the rate; mirror it into the speed field
+            state.timer.speed = el.playbackRate;
+            const speedInput = document.getElementById('playback-speed');
+            if (speedInput && document.activeElement !== speedInput) {
+                speedInput.value = state.timer.speed.toFixed(2);
+            }
+            saveState();
+        });
+
+        document.getElementById('media-file-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) MediaSync.open(file);
+            e.target.value = ''; // Allow re-opening the same file
+        });
+        document.getElementById('btn-media-close').addEventListener('click', MediaSync.close);
     }
 };
 
@@ -127,13 +310,22 @@ function tick() {
 function updateTimerDisplay() {
     const ms = Timer.getCurrentTime();
     // Use innerHTML to support span styling
-    document.getElementById('timer-display').innerHTML = formatTimeHighRes(ms);
+    document.getElementById('timer-display').innerHTML = TimeFormat.formatTimer(ms);
+    updateTimelinePlayhead();
 }
 
+let announcedRunning = false;
+
 function updateControls() {
     const img = document.getElementById('img-timer-control');
     if (!img) return;
 
+    if (state.timer.isRunning !== announcedRunning) {
+        announcedRunning = state.timer.isRunning;
+        const at = TimeFormat.format(Timer.getCurrentTime());
+        announce(state.timer.isRunning ? `Timer started at ${at}.` : `Timer paused at ${at}.`);
+    }
+
     if (state.timer.isRunning) {
         // Show Pause image
         img.src = "image/icon-pause.jpg";
@@ -169,347 +361,3402 @@ function formatTimeHighRes(ms) {
     return `${pad(min)}:${pad(s)}${decimalPart}`;
 }
 
-function formatTimeSimple(totalMs) {
-    // MM:SS or H:MM:SS (For Timestamp Display)
-    if (totalMs < 0) totalMs = 0;
-    const date = new Date(totalMs);
-    const h = date.getUTCHours();
-    const m = date.getUTCMinutes();
-    const s = date.getUTCSeconds();
+function parseTimeString(str) {
+    // "H:MM:SS", "MM:SS", plain seconds or timecode at the chosen frame rate -> ms. NaN if invalid.
+    return TimestampCore.parseTimeString(str, TimeFormat.frameRate());
+}
+
+/**
+ * Time Format
+ * How times are shown and typed in the list, timer and offset fields: whole
+ * seconds, milliseconds or SMPTE frames. The YouTube text export always uses
+ * whole seconds.
+ */
+const TIME_PRECISIONS = {
+    seconds: 'Seconds (H:MM:SS)',
+    ms: 'Milliseconds (H:MM:SS.mmm)',
+    frames: 'Frames (SMPTE HH:MM:SS:FF)'
+};
+
+const TimeFormat = {
+    get: () => Object.assign({ precision: 'seconds', frameRate: '30', rounding: 'floor' }, Settings.get('timeFormat')),
+    frameRate: () => FRAME_RATES[TimeFormat.get().frameRate] || FRAME_RATES['30'],
+
+    round: (value) => {
+        // Epsilon so 1001ms at 29.97 counts as 30 frames, not 29.999…
+        if (TimeFormat.get().rounding === 'nearest') return Math.round(value);
+        return Math.floor(value + 1e-6);
+    },
+
+    toFrames: (ms) => TimeFormat.round(ms * TimeFormat.frameRate().rate / 1000),
+    fromFrames: (frames) => frames * 1000 / TimeFormat.frameRate().rate,
+
+    format: (ms) => {
+        ms = Math.max(0, ms);
+        const { precision } = TimeFormat.get();
+        if (precision === 'frames') return TimeFormat.formatTimecode(TimeFormat.toFrames(ms));
+        if (precision === 'ms') {
+            const units = TimeFormat.round(ms);
+            return `${formatTimeSimple(units - units % 1000)}.${pad(units % 1000, 3)}`;
+        }
+        return formatTimeSimple(TimeFormat.round(ms / 1000) * 1000);
+    },
+
+    formatTimer: (ms) => {
+        // Same as format, with the sub-second part in the dimmed span
+        if (TimeFormat.get().precision === 'seconds') return formatTimeHighRes(ms);
+        const text = TimeFormat.format(ms);
+        const split = Math.max(text.lastIndexOf('.'), text.lastIndexOf(':'), text.lastIndexOf(';'));
+        return `${text.slice(0, split)}<span class="timer-decimal">${text.slice(split)}</span>`;
+    },
+
+    formatTimecode: (frames) => TimestampCore.framesToTimecode(frames, TimeFormat.frameRate()),
+    parseTimecode: (h, m, s, f) => TimeFormat.fromFrames(TimestampCore.timecodeToFrames(h, m, s, f, TimeFormat.frameRate())),
+
+    // Offsets are signed and shown in seconds, or in frames ("12f") in frame mode
+    formatOffset: (ms) => {
+        const { precision } = TimeFormat.get();
+        if (precision === 'frames') return `${Math.sign(ms) * TimeFormat.toFrames(Math.abs(ms))}f`;
+        if (precision === 'ms') return `${Math.round(ms) / 1000}`;
+        return `${ms / 1000}`;
+    },
+
+    parseOffset: (str) => TimestampCore.parseOffset(str, TimeFormat.frameRate()),
 
-    if (h > 0) {
-        return `${h}:${pad(m)}:${pad(s)}`;
+    stepSeconds: () => {
+        // +/- buttons move one frame in frame mode
+        const { precision } = TimeFormat.get();
+        if (precision === 'frames') return 1 / TimeFormat.frameRate().rate;
+        return precision === 'ms' ? 0.1 : 1;
     }
-    return `${pad(m)}:${pad(s)}`;
-}
+};
+
+function initTimeFormat() {
+    const precision = document.getElementById('time-precision');
+    const frameRate = document.getElementById('time-frame-rate');
+    const rounding = document.getElementById('time-rounding');
+
+    Object.entries(TIME_PRECISIONS).forEach(([id, label]) => precision.add(new Option(label, id)));
+    Object.entries(FRAME_RATES).forEach(([id, fps]) => frameRate.add(new Option(fps.label, id)));
+
+    const sync = () => {
+        const current = TimeFormat.get();
+        precision.value = current.precision;
+        frameRate.value = current.frameRate;
+        rounding.value = current.rounding;
+        frameRate.disabled = current.precision !== 'frames';
+    };
 
-function pad(num, size = 2) {
-    return num.toString().padStart(size, '0');
+    const apply = () => {
+        Settings.set('timeFormat', {
+            precision: precision.value,
+            frameRate: frameRate.value,
+            rounding: rounding.value
+        });
+        sync();
+        updateTimerDisplay();
+        renderTimestamps(true, false);
+    };
+
+    [precision, frameRate, rounding].forEach(select => select.addEventListener('change', apply));
+
+    document.getElementById('btn-time-format').addEventListener('click', () => {
+        sync();
+        Modal.open('time-format-modal');
+    });
 }
 
 /**
  * Core Logic: Timestamps
  */
 function addTimestamp() {
+    const ts = createTimestamp('');
+
+    // Focus the new entry's input (not necessarily the last one when auto-sorted)
+    setTimeout(() => focusTimestamp(ts.id), 50);
+}
+
+function createTimestamp(description) {
     const rawTime = Timer.getCurrentTime();
+    History.record('Mark timestamp');
 
     const newTimestamp = {
         id: state.nextId++,
         rawTime: rawTime,
-        description: '',
+        description: description,
         localOffset: 0
     };
+    // Stopwatch marks keep their real time so they can be re-timed if the speed was wrong
+    if (!MediaSync.isActive()) newTimestamp.realTime = Timer.getRealTime();
 
     state.timestamps.push(newTimestamp);
     renderTimestamps(true, true); // Scroll to bottom on add
-
-    // Focus the last added input
-    setTimeout(() => {
-        const inputs = document.querySelectorAll('.ts-desc');
-        if (inputs.length > 0) inputs[inputs.length - 1].focus();
-    }, 50);
     saveState();
+    announce(`Marked ${TimeFormat.format(calculateDisplayTime(newTimestamp))} ${description}`.trim() + '.');
+    return newTimestamp;
+}
+
+function describeTimestamp(ts) {
+    return `${TimeFormat.format(calculateDisplayTime(ts))} ${ts.description || 'untitled'}`;
 }
 
 function deleteTimestamp(id) {
+    const ts = state.timestamps.find(t => t.id === id);
+    if (!ts) return;
+    Snapshots.take('Before delete');
+    History.record('Delete timestamp');
     state.timestamps = state.timestamps.filter(t => t.id !== id);
     renderTimestamps(true, false); // Don't scroll on delete
     saveState();
+    showUndoToast('Timestamp deleted.');
+    announce(`Deleted ${describeTimestamp(ts)}.`);
+}
+
+function confirmDeleteTimestamp(id) {
+    // Keyboard alternative to hold-to-delete
+    const ts = state.timestamps.find(t => t.id === id);
+    if (!ts || !confirm(`Delete timestamp "${describeTimestamp(ts)}"?`)) return;
+
+    // Keep keyboard focus in the list instead of dropping it on the page
+    const index = ListView.visible.indexOf(ts);
+    const neighbour = ListView.visible[index + 1] || ListView.visible[index - 1];
+    deleteTimestamp(id);
+    const item = neighbour && scrollToTimestamp(neighbour.id);
+    if (item) item.focus();
 }
 
+window.confirmDeleteTimestamp = confirmDeleteTimestamp;
+
 function updateTimestamp(id, updates) {
     const ts = state.timestamps.find(t => t.id === id);
     if (ts) {
+        // 'change' usually follows 'input' with the same value; don't record a no-op
+        const changed = Object.keys(updates).some(key => ts[key] !== updates[key]);
+        if (changed) History.record('Edit timestamp', { mergeKey: `edit-${id}` });
         Object.assign(ts, updates);
         renderTimestamps(false); // Don't full re-render
         saveState();
     }
 }
 
+function getOriginalTime(ts) {
+    // Raw (ms) + LocalOffset (ms) + GlobalOffset (sec * 1000): position in the original VOD
+    return TimestampCore.getOriginalTime(ts, state);
+}
+
 function calculateDisplayTime(ts) {
-    // Raw (ms) + LocalOffset (ms) + GlobalOffset (sec * 1000)
-    const totalMs = ts.rawTime + ts.localOffset + (state.globalOffset * 1000);
-    return Math.max(0, totalMs);
+    // Offsets first, then the VOD cut list
+    return TimestampCore.calculateDisplayTime(ts, state);
 }
 
 /**
- * Rendering
+ * VOD Cut List
+ * Removed and inserted ranges in the original VOD timeline. Later positions
+ * shift by the removed/inserted length; positions inside a removed range move
+ * to the cut point and get flagged.
  */
-function renderTimestamps(fullRender = true, scrollToBottom = false) {
-    const container = document.getElementById('timestamp-list');
+function findCutAt(ms) {
+    return TimestampCore.findCutAt(ms, state.edits);
+}
 
-    if (!fullRender) {
-        state.timestamps.forEach(ts => {
-            const el = document.getElementById(`ts-time-${ts.id}`);
-            if (el) el.textContent = formatTimeSimple(calculateDisplayTime(ts));
-        });
-        return;
-    }
+function updateCutFlag(ts) {
+    const badge = document.getElementById(`ts-cut-${ts.id}`);
+    if (!badge) return;
+    const cut = findCutAt(getOriginalTime(ts));
+    badge.hidden = !cut;
+    if (cut) badge.title = `Inside removed section ${formatTimeSimple(cut.start)}–${formatTimeSimple(cut.end)}`;
+}
 
-    container.innerHTML = '';
+function addEdit(type) {
+    History.record('Add cut list entry');
+    const id = state.edits.reduce((max, e) => Math.max(max, e.id), 0) + 1;
+    const start = Math.max(0, Timer.getCurrentTime());
+    state.edits.push(type === 'cut'
+        ? { id, type, start, end: start + 10000 }
+        : { id, type, start, duration: 10000 });
+    renderEdits();
+    renderTimestamps(true, false);
+    saveState();
+}
 
-    if (state.timestamps.length === 0) {
-        container.innerHTML = '<div class="empty-state">No timestamps created yet. Press "Mark Timestamp" to begin.</div>';
+function updateEdit(id, updates) {
+    const edit = state.edits.find(e => e.id === id);
+    if (!edit) return;
+    History.record('Edit cut list', { mergeKey: `edit-cut-${id}` });
+    Object.assign(edit, updates);
+    renderEdits();
+    renderTimestamps(true, false);
+    saveState();
+}
+
+function removeEdit(id) {
+    History.record('Remove cut list entry');
+    state.edits = state.edits.filter(e => e.id !== id);
+    renderEdits();
+    renderTimestamps(true, false);
+    saveState();
+}
+
+function renderEdits() {
+    const list = document.getElementById('edit-list');
+    const btn = document.getElementById('btn-edits');
+    btn.textContent = state.edits.length ? `Cuts (${state.edits.length})` : 'Cuts';
+    list.innerHTML = '';
+
+    if (state.edits.length === 0) {
+        list.innerHTML = '<li class="empty-state">No removed or inserted sections.</li>';
         return;
     }
 
-    state.timestamps.forEach(ts => {
-        const item = document.createElement('div');
-        item.className = 'timestamp-item';
-        // XSS FIX: Removed value="${ts.description}" to prevent HTML injection.
-        // We set the value programmatically below.
+    [...state.edits].sort((a, b) => a.start - b.start).forEach(edit => {
+        const item = document.createElement('li');
+        item.className = 'edit-item' + (isValidEdit(edit) ? '' : ' invalid');
+        const isCut = edit.type === 'cut';
         item.innerHTML = `
-            <div class="ts-delete-overlay" id="delete-overlay-${ts.id}">
-                <div class="delete-progress"></div>
-                <span>HOLD TO DELETE</span>
-            </div>
-            <div class="ts-content-row">
-                <div class="ts-time" id="ts-time-${ts.id}">${formatTimeSimple(calculateDisplayTime(ts))}</div>
-                <input class="ts-desc" type="text" placeholder="Description..." onchange="updateTimestamp(${ts.id}, {description: this.value})">
-            </div>
-            <div class="ts-actions-row">
-                <div class="local-offset-control">
-                    <span class="offset-label">Offset</span>
-                    <button onclick="adjustLocalOffset(${ts.id}, -1)" class="icon-btn-large">-</button>
-                    <input type="text" class="ts-offset-input-large" value="${ts.localOffset / 1000}" inputmode="decimal" onchange="setLocalOffset(${ts.id}, this.value)">
-                    <button onclick="adjustLocalOffset(${ts.id}, 1)" class="icon-btn-large">+</button>
-                </div>
-            </div>
+            <span class="edit-type">${isCut ? 'Removed' : 'Inserted'}</span>
+            <label>${isCut ? 'From' : 'At'} <input type="text" class="modal-input" data-field="start" value="${formatTimeSimple(edit.start)}"></label>
+            <label>${isCut ? 'To' : 'Length'} <input type="text" class="modal-input" data-field="${isCut ? 'end' : 'duration'}" value="${formatTimeSimple(isCut ? edit.end : edit.duration)}"></label>
+            <button class="file-btn" data-action="remove">Remove</button>
         `;
-
-        const descInput = item.querySelector('.ts-desc');
-        // Safely set the value programmatically
-        descInput.value = ts.description || '';
-
-        descInput.addEventListener('input', (e) => {
-            ts.description = e.target.value;
-            saveState(); // Save on input (maybe too frequent? better on change/blur or debounced? user asked for reliable saving. 'input' is safest but high freq. let's stick to updateTimestamp (change) for now or add explicit save here? updateTimestamp is onchange. Let's add saveState here too to be safe/granular, or rely on change.)
-            // Actually, updateTimestamp is called on 'change' (blur/enter). For realtime safety 'input' is better but spammy.
-            // Let's rely on 'change' via updateTimestamp for the bulk, but maybe debounce save?
-            // For now, let's stick to 'change' (updateTimestamp) which calls saveState.
-            // BUT, if user types and reloads before blurring, data loss.
-            // Let's add a debounced save? Or just save on input (localStorage is fast).
-            // Let's try adding explicit save here for safety.
-            saveState();
-        });
-
-        // Long Press Delete Logic
-        const deleteOverlay = item.querySelector(`#delete-overlay-${ts.id}`);
-        // ... (rest of logic same)
-        const progressBar = deleteOverlay.querySelector('.delete-progress');
-        let pressTimer;
-        let isPressing = false;
-
-        const startPress = (e) => {
-            if (e.target !== deleteOverlay && e.target.parentElement !== deleteOverlay) return;
-            // Only trigger if clicking the overlay itself (or immediate text child if structure implies)
-            // simplified: blocking propagation from children if any? The overlay covers the top area.
-
-            isPressing = true;
-            deleteOverlay.classList.add('pressing');
-
-            // 2000ms to delete
-            pressTimer = setTimeout(() => {
-                if (isPressing) {
-                    deleteTimestamp(ts.id);
+        item.querySelectorAll('input').forEach(input => {
+            input.addEventListener('change', () => {
+                const ms = parseTimeString(input.value);
+                if (isNaN(ms) || ms < 0) {
+                    renderEdits(); // Revert
+                    return;
                 }
-            }, 2000);
-        };
-
-        const cancelPress = () => {
-            if (!isPressing) return;
-            isPressing = false;
-            deleteOverlay.classList.remove('pressing');
-            clearTimeout(pressTimer);
-        };
-
-        // Mouse
-        deleteOverlay.addEventListener('mousedown', startPress);
-        deleteOverlay.addEventListener('mouseup', cancelPress);
-        deleteOverlay.addEventListener('mouseleave', cancelPress);
-
-        // Touch
-        deleteOverlay.addEventListener('touchstart', (e) => {
-            e.preventDefault(); // prevent mouse emulation
-            startPress(e);
+                updateEdit(edit.id, { [input.dataset.field]: ms });
+            });
         });
-        deleteOverlay.addEventListener('touchend', cancelPress);
-        deleteOverlay.addEventListener('touchcancel', cancelPress);
-
-        container.appendChild(item);
+        item.querySelector('[data-action="remove"]').addEventListener('click', () => removeEdit(edit.id));
+        list.appendChild(item);
     });
+}
 
-    if (scrollToBottom) {
-        container.scrollTop = container.scrollHeight;
-    }
+function initEdits() {
+    document.getElementById('btn-edits').addEventListener('click', () => {
+        renderEdits();
+        Modal.open('edits-modal');
+    });
+    document.getElementById('btn-add-cut').addEventListener('click', () => addEdit('cut'));
+    document.getElementById('btn-add-insert').addEventListener('click', () => addEdit('insert'));
+    renderEdits();
 }
 
 /**
- * Persistence
+ * Segments
+ * A timestamp with an `end` is a range. The same key opens and closes it.
  */
-function saveState() {
-    const data = {
-        timestamps: state.timestamps,
-        globalOffset: state.globalOffset,
-        timerAccumulated: state.timer.accumulated, // Save current accumulated time
-        speed: state.timer.speed // Save speed
-    };
-    if (state.timer.isRunning) {
-        // If running, calculate current accumulated up to now
-        data.timerAccumulated = Timer.getCurrentTime();
-    }
-    localStorage.setItem('yt_ts_maker_data', JSON.stringify(data));
+function calculateEndDisplayTime(ts) {
+    // Same offsets as the start, applied to the end point. Open segments have no end yet.
+    return TimestampCore.calculateEndDisplayTime(ts, state);
 }
 
-function loadState() {
-    const raw = localStorage.getItem('yt_ts_maker_data');
-    if (!raw) return;
+function getOpenSegment() {
+    return state.timestamps.find(t => t.end === null);
+}
 
-    try {
-        const data = JSON.parse(raw);
-        if (data.timestamps) {
-            state.timestamps = data.timestamps;
-            const maxId = state.timestamps.reduce((max, t) => Math.max(max, t.id), 0);
-            state.nextId = maxId + 1;
-        }
-        if (data.globalOffset !== undefined) {
-            state.globalOffset = data.globalOffset;
-            const globalInput = document.getElementById('global-offset');
-            if (globalInput) globalInput.value = state.globalOffset;
-        }
-        if (data.timerAccumulated !== undefined) {
-            state.timer.accumulated = data.timerAccumulated;
-            updateTimerDisplay();
-        }
-        if (data.speed !== undefined) {
-            state.timer.speed = data.speed;
-            const speedInput = document.getElementById('playback-speed');
-            if (speedInput) speedInput.value = state.timer.speed.toFixed(2);
-        }
-        renderTimestamps();
-    } catch (e) {
-        console.error("Failed to load state", e);
+function toggleSegment() {
+    const open = getOpenSegment();
+    const now = Timer.getCurrentTime();
+
+    if (open) {
+        History.record('End segment');
+        // Never end before the start (e.g. after seeking back)
+        open.end = { rawTime: Math.max(now, open.rawTime), localOffset: 0 };
+        if (!MediaSync.isActive()) open.end.realTime = Timer.getRealTime();
+        renderTimestamps(true, false);
+    } else {
+        History.record('Start segment');
+        const segment = {
+            id: state.nextId++,
+            rawTime: now,
+            description: '',
+            localOffset: 0,
+            end: null
+        };
+        if (!MediaSync.isActive()) segment.realTime = Timer.getRealTime();
+        state.timestamps.push(segment);
+        renderTimestamps(true, true);
     }
+    saveState();
+}
+
+function updateSegmentButton() {
+    const btn = document.getElementById('btn-segment');
+    if (!btn) return;
+    const open = getOpenSegment();
+    const key = Hotkeys.getLabel('segment');
+    btn.textContent = (open ? 'End Segment' : 'Start Segment') + (key ? ` (${key})` : '');
+    btn.classList.toggle('recording', !!open);
 }
 
 /**
- * Controller Actions
+ * Nesting
+ * Entries form an outline in list order: `level` 1 is a child of the closest
+ * entry above it at level 0, and so on. Stored levels are clamped so an entry
+ * is never deeper than one below its predecessor.
  */
-window.adjustLocalOffset = (id, deltaSec) => {
-    const ts = state.timestamps.find(t => t.id === id);
-    if (ts) {
-        ts.localOffset += (deltaSec * 1000);
-        renderTimestamps(true, false);
-        saveState();
-    }
-};
+function getOutlineLevels() {
+    return TimestampCore.getOutlineLevels(state.timestamps);
+}
 
-window.setLocalOffset = (id, valSec) => {
+function changeLevel(id, delta) {
     const ts = state.timestamps.find(t => t.id === id);
-    if (ts) {
-        ts.localOffset = parseFloat(valSec) * 1000;
-        renderTimestamps(true, false);
-        saveState();
-    }
-};
+    if (!ts) return;
+    const index = state.timestamps.indexOf(ts);
+    const levels = getOutlineLevels();
+    const current = levels.get(id);
+    const max = index === 0 ? 0 : Math.min(levels.get(state.timestamps[index - 1].id) + 1, MAX_LEVEL);
+    const level = Math.max(0, Math.min(current + delta, max));
+    if (level === current) return;
+
+    History.record(delta > 0 ? 'Indent' : 'Outdent');
+    if (level === 0) delete ts.level;
+    else ts.level = level;
+    renderTimestamps(true, false);
+    saveState();
+}
 
-window.deleteTimestamp = deleteTimestamp;
-window.updateTimestamp = updateTimestamp;
+window.changeLevel = changeLevel;
 
-// Manual Timer Editing
-function initTimerEditing() {
-    const display = document.getElementById('timer-display');
+/**
+ * Speed Timeline
+ * Correcting a past segment's speed re-times every mark recorded after it.
+ */
+function scaledTimeAt(realMs) {
+    return TimestampCore.scaledTimeAt(state.timer.speedLog, realMs);
+}
 
-    display.addEventListener('click', () => {
-        if (state.timer.isRunning) Timer.pause(); // Pause to edit
+function correctSpeedSegment(index, speed) {
+    const log = state.timer.speedLog;
+    if (!log[index] || isNaN(speed) || speed <= 0) return;
 
-        const currentText = display.innerText.split('.')[0];
+    History.record('Correct speed', { timer: true });
+    const realNow = Timer.getRealTime();
+    log[index].speed = speed;
 
-        // Replace with input
-        const input = document.createElement('input');
-        input.type = 'text';
-        input.value = currentText;
-        input.className = 'timer-edit-input';
-        input.style.fontSize = 'inherit';
-        input.style.fontFamily = 'inherit';
-        input.style.color = 'inherit';
-        input.style.background = 'transparent';
-        input.style.border = '1px solid rgba(255,255,255,0.3)';
-        input.style.borderRadius = '4px';
-        input.style.textAlign = 'center';
-        input.style.width = '300px';
+    // Later segments start where the corrected ones end, unless the timer was set explicitly
+    for (let i = 1; i < log.length; i++) {
+        if (log[i].jump) continue;
+        const prev = log[i - 1];
+        log[i].scaledStart = prev.scaledStart + (log[i].realStart - prev.realStart) * prev.speed;
+    }
 
-        display.innerHTML = '';
-        display.appendChild(input);
-        input.focus();
+    state.timestamps.forEach(ts => {
+        if (ts.realTime !== undefined) ts.rawTime = scaledTimeAt(ts.realTime);
+        if (ts.end && ts.end.realTime !== undefined) ts.end.rawTime = scaledTimeAt(ts.end.realTime);
+    });
 
-        const saveEdit = () => {
-            const val = input.value.trim();
-            const parts = val.split(':').map(p => parseFloat(p));
-            let newMs = 0;
-
-            if (parts.length === 3) {
-                // HH:MM:SS
-                newMs = ((parts[0] * 3600) + (parts[1] * 60) + parts[2]) * 1000;
-            } else if (parts.length === 2) {
-                // MM:SS
-                newMs = ((parts[0] * 60) + parts[1]) * 1000;
-            } else if (parts.length === 1) {
-                // SS
-                newMs = parts[0] * 1000;
-            }
+    if (!MediaSync.isActive()) {
+        // Re-base the running clock on the corrected timeline
+        Stopwatch.rebase(scaledTimeAt(realNow), realNow);
+        state.timer.speed = log[log.length - 1].speed;
+        document.getElementById('playback-speed').value = state.timer.speed.toFixed(2);
+    }
 
-            if (!isNaN(newMs)) {
-                state.timer.accumulated = newMs;
-            }
+    updateTimerDisplay();
+    renderTimestamps(true, false);
+    renderSpeedLog();
+    saveState();
+}
 
-            updateTimerDisplay();
-            saveState();
-        };
+function renderSpeedLog() {
+    const list = document.getElementById('speed-log-list');
+    const log = state.timer.speedLog;
+    const realNow = Timer.getRealTime();
+    list.innerHTML = '';
 
-        // Save on blur or enter
-        input.addEventListener('blur', saveEdit);
-        input.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
-                saveEdit();
+    log.forEach((segment, i) => {
+        const realEnd = i + 1 < log.length ? log[i + 1].realStart : realNow;
+        const marks = state.timestamps.filter(ts => ts.realTime !== undefined && ts.realTime >= segment.realStart && ts.realTime < realEnd).length;
+
+        const item = document.createElement('li');
+        item.className = 'speed-log-item';
+        item.innerHTML = `
+            <div class="speed-log-info">
+                <div>Real ${formatTimeSimple(segment.realStart)} – ${i + 1 < log.length ? formatTimeSimple(realEnd) : 'now'}</div>
+                <div class="project-meta">Timer ${segment.jump ? 'set to' : 'from'} ${formatTimeSimple(segment.scaledStart)} · ${marks} ${marks === 1 ? 'mark' : 'marks'}</div>
+            </div>
+            <label class="speed-log-speed">× <input type="text" class="modal-input" inputmode="decimal" value="${segment.speed.toFixed(2)}"></label>
+        `;
+        const input = item.querySelector('input');
+        input.addEventListener('change', () => {
+            const speed = parseFloat(input.value);
+            if (isNaN(speed) || speed < 0.05) {
+                input.value = segment.speed.toFixed(2);
+                return;
             }
+            correctSpeedSegment(i, speed);
         });
+        list.appendChild(item);
     });
 }
 
+function initSpeedLog() {
+    document.getElementById('btn-speed-log').addEventListener('click', () => {
+        renderSpeedLog();
+        Modal.open('speed-log-modal');
+    });
+}
 
 /**
- * Initialization & Event Listeners
+ * Import
+ * Pasted text (e.g. a YouTube description) becomes timestamps, parsed by
+ * parseTimestampText in core.js. Inverse of the "Copy to Clipboard" output.
  */
-document.addEventListener('DOMContentLoaded', () => {
-    loadState(); // Load saved data
-    initTimerEditing();
-
-    // Timer Controls
-    document.getElementById('btn-timer-start').addEventListener('click', Timer.toggle);
-    document.getElementById('btn-timer-reset').addEventListener('click', Timer.reset);
+function importTimestamps(entries, mode) {
+    // Pasted times are final times, so compensate the global offset to display them as-is
+    const globalMs = state.globalOffset * 1000;
+    if (mode === 'replace') Snapshots.take('Before import');
+    History.record('Import');
 
-    // Global Offset
-    const globalInput = document.getElementById('global-offset');
-    const updateGlobal = () => {
-        state.globalOffset = parseFloat(globalInput.value) || 0;
-        renderTimestamps(true, false); // Keep position
-        saveState();
-    };
+    if (mode === 'replace') {
+        state.timestamps = [];
+        state.nextId = 1;
+    }
+
+    entries.forEach(entry => {
+        const ts = {
+            id: state.nextId++,
+            rawTime: entry.time - globalMs,
+            description: entry.description,
+            localOffset: 0
+        };
+        // Merged entries go where they belong in time; the existing order stays as it is
+        if (mode === 'merge') insertByTime(ts);
+        else state.timestamps.push(ts);
+    });
+
+    renderTimestamps();
+    saveState();
+}
+
+function initImport() {
+    const textarea = document.getElementById('import-text');
+    const summary = document.getElementById('import-summary');
+    const skippedList = document.getElementById('import-skipped');
+    const btnReplace = document.getElementById('btn-import-replace');
+    const btnMerge = document.getElementById('btn-import-merge');
+    let parsed = { entries: [], skipped: [] };
+
+    const updatePreview = () => {
+        parsed = parseTimestampText(textarea.value);
+        summary.textContent = `${parsed.entries.length} timestamps found` +
+            (parsed.skipped.length ? `, ${parsed.skipped.length} lines could not be parsed:` : '');
+
+        skippedList.innerHTML = '';
+        parsed.skipped.forEach(s => {
+            const li = document.createElement('li');
+            li.textContent = `Line ${s.line}: ${s.text}`;
+            skippedList.appendChild(li);
+        });
+
+        btnReplace.disabled = parsed.entries.length === 0;
+        btnMerge.disabled = parsed.entries.length === 0 || state.timestamps.length === 0;
+    };
+
+    const finish = (mode) => {
+        if (parsed.entries.length === 0) return;
+        importTimestamps(parsed.entries, mode);
+        textarea.value = '';
+        updatePreview();
+        Modal.close('import-modal');
+    };
+
+    document.getElementById('btn-import').addEventListener('click', () => {
+        updatePreview();
+        Modal.open('import-modal');
+    });
+    textarea.addEventListener('input', updatePreview);
+    btnReplace.addEventListener('click', () => finish('replace'));
+    btnMerge.addEventListener('click', () => finish('merge'));
+}
+
+/**
+ * Export
+ * The formats are ExportFormats in core.js; the export dialog lists them automatically.
+ */
+function buildExportEntries(options = {}) {
+    // Entries in list order. Chapter end = next entry in time, or the total
+    // duration / current timer position for the last one.
+    // options.categories: category keys to include (all when omitted)
+    // options.nesting: 'flat' (default), 'top' (top level only), 'indent' or 'number'
+    return TimestampCore.buildExportEntries(state, {
+        nesting: options.nesting,
+        include: options.categories && (ts => options.categories.includes(getCategoryKey(ts))),
+        getCategory: ts => getCategory(ts.category),
+        duration: options.duration > 0 ? options.duration : Timer.getCurrentTime()
+    });
+}
+
+/**
+ * Export Templates
+ * User-defined line templates, persisted separately from session data so
+ * reset doesn't wipe them. Placeholders: {index} {time} {end} {duration} {desc}
+ * in the line, {count} {total} in header/footer.
+ */
+const TIME_STYLES = {
+    simple: { label: 'YouTube (MM:SS / H:MM:SS)', format: (ms) => formatTimeSimple(ms) },
+    hours: { label: 'Always hours (H:MM:SS)', format: (ms) => formatTimePrecise(ms).replace(/^0(?=\d:)/, '').split('.')[0] },
+    padded: { label: 'Zero-padded hours (HH:MM:SS)', format: (ms) => formatTimePrecise(ms).split('.')[0] },
+    ms: { label: 'Milliseconds (HH:MM:SS.mmm)', format: (ms) => formatTimePrecise(ms) },
+    app: { label: 'Time format setting (seconds / ms / SMPTE)', format: (ms) => TimeFormat.format(ms) }
+};
+
+const ExportTemplates = {
+    storageKey: 'yt_ts_maker_templates',
+    list: [],
+    defaults: () => [
+        { id: 1, name: 'Numbered', header: '', line: '{index}. {time} - {desc}', footer: '', timeStyle: 'simple' },
+        { id: 2, name: 'Bracketed with duration', header: '', line: '[{time}] {desc} ({duration})', footer: '', timeStyle: 'simple' }
+    ],
+    load: () => {
+        const raw = localStorage.getItem(ExportTemplates.storageKey);
+        try {
+            ExportTemplates.list = raw ? JSON.parse(raw) : ExportTemplates.defaults();
+        } catch (e) {
+            console.error("Failed to load templates", e);
+            ExportTemplates.list = ExportTemplates.defaults();
+        }
+    },
+    save: () => {
+        localStorage.setItem(ExportTemplates.storageKey, JSON.stringify(ExportTemplates.list));
+    },
+    get: (id) => ExportTemplates.list.find(t => t.id === id),
+    create: (base = {}) => {
+        const id = ExportTemplates.list.reduce((max, t) => Math.max(max, t.id), 0) + 1;
+        const template = Object.assign({ header: '', line: '{time} {desc}', footer: '', timeStyle: 'simple' }, base, {
+            id,
+            name: base.name ? `${base.name} (copy)` : `Template ${id}`
+        });
+        ExportTemplates.list.push(template);
+        ExportTemplates.save();
+        return template;
+    },
+    update: (id, updates) => {
+        const template = ExportTemplates.get(id);
+        if (template) {
+            Object.assign(template, updates);
+            ExportTemplates.save();
+        }
+    },
+    remove: (id) => {
+        ExportTemplates.list = ExportTemplates.list.filter(t => t.id !== id);
+        ExportTemplates.save();
+    }
+};
+
+function fillPlaceholders(str, values) {
+    // Unknown placeholders are left untouched
+    return str.replace(/\{(\w+)\}/g, (match, key) => key in values ? values[key] : match);
+}
+
+function renderTemplate(template, entries) {
+    const formatTime = (TIME_STYLES[template.timeStyle] || TIME_STYLES.simple).format;
+    const total = entries.reduce((max, e) => Math.max(max, e.end), 0);
+    const blockValues = { count: entries.length, total: formatTime(total) };
+
+    const lines = entries.map((e, i) => fillPlaceholders(template.line, {
+        index: i + 1,
+        number: e.number,
+        indent: '  '.repeat(e.level),
+        time: formatTime(e.start),
+        end: formatTime(e.end),
+        duration: formatTime(e.end - e.start),
+        desc: e.description
+    }));
+
+    if (template.header) lines.unshift(fillPlaceholders(template.header, blockValues));
+    if (template.footer) lines.push(fillPlaceholders(template.footer, blockValues));
+    return lines.join('\n');
+}
+
+function getExportFormat(formatId) {
+    // Built-in formats, or "template:<id>" for a saved template
+    if (formatId.startsWith('template:')) {
+        const template = ExportTemplates.get(Number(formatId.slice('template:'.length)));
+        if (!template) return ExportFormats.text;
+        return {
+            label: template.name,
+            extension: 'txt',
+            mimeType: 'text/plain',
+            format: (entries) => renderTemplate(template, entries)
+        };
+    }
+    return ExportFormats[formatId] || ExportFormats.text;
+}
+
+function exportTimestamps(formatId, options = {}) {
+    const format = getExportFormat(formatId);
+    const context = {
+        duration: options.duration,
+        globalOffset: state.globalOffset,
+        speed: state.timer.speed,
+        edits: state.edits,
+        fileName: state.media.fileName,
+        title: getExportBaseName()
+    };
+    return format.format(buildExportEntries(options), context);
+}
+
+function copyText(text, btn) {
+    return navigator.clipboard.writeText(text).then(() => {
+        if (!btn) return;
+        const original = btn.textContent;
+        btn.textContent = "Copied!";
+        setTimeout(() => btn.textContent = original, 2000);
+    });
+}
+
+function downloadText(text, fileName, mimeType) {
+    const blob = new Blob([text], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function getExportBaseName() {
+    // Name exports after the loaded media file when there is one
+    return state.media.fileName ? state.media.fileName.replace(/\.[^.]+$/, '') : 'timestamps';
+}
+
+function initExport() {
+    const select = document.getElementById('export-format');
+    const durationInput = document.getElementById('export-duration');
+    const preview = document.getElementById('export-preview');
+    const editor = document.getElementById('template-editor');
+    const fields = {
+        name: document.getElementById('template-name'),
+        header: document.getElementById('template-header'),
+        line: document.getElementById('template-line'),
+        footer: document.getElementById('template-footer'),
+        timeStyle: document.getElementById('template-time-style')
+    };
+
+    Object.entries(TIME_STYLES).forEach(([id, style]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = style.label;
+        fields.timeStyle.appendChild(option);
+    });
+
+    const populateSelect = (selectedValue) => {
+        select.innerHTML = '';
+        const addGroup = (label, items) => {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            items.forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        };
+        addGroup('Formats', Object.entries(ExportFormats).map(([id, format]) => [id, format.label]));
+        addGroup('Templates', ExportTemplates.list.map(t => [`template:${t.id}`, t.name]));
+        if (selectedValue) select.value = selectedValue;
+    };
+
+    const getSelectedTemplate = () => select.value.startsWith('template:')
+        ? ExportTemplates.get(Number(select.value.slice('template:'.length)))
+        : null;
+
+    const categoryChecks = document.getElementById('export-categories');
+    const nestingSelect = document.getElementById('export-nesting');
+    const getOptions = () => {
+        const boxes = [...categoryChecks.querySelectorAll('input')];
+        const included = boxes.filter(box => box.checked).map(box => box.value);
+        return {
+            duration: parseTimeString(durationInput.value),
+            nesting: nestingSelect.value,
+            // Unfiltered unless something is unchecked
+            categories: included.length === boxes.length ? undefined : included
+        };
+    };
+    const updatePreview = () => {
+        preview.value = exportTimestamps(select.value, getOptions());
+    };
+
+    const renderCategoryChecks = () => {
+        // Keep previous choices while the dialog is reopened
+        const unchecked = new Set([...categoryChecks.querySelectorAll('input:not(:checked)')].map(box => box.value));
+        categoryChecks.innerHTML = '';
+        getCategoryOptions().forEach(({ key, name, color }) => {
+            const label = document.createElement('label');
+            label.className = 'toggle-label category-check';
+            label.innerHTML = `<input type="checkbox" value="${key}"><span class="category-dot"></span><span></span>`;
+            label.querySelector('input').checked = !unchecked.has(key);
+            label.querySelector('.category-dot').style.background = color;
+            label.lastElementChild.textContent = name;
+            label.querySelector('input').addEventListener('change', updatePreview);
+            categoryChecks.appendChild(label);
+        });
+    };
+
+    const showEditor = () => {
+        const template = getSelectedTemplate();
+        editor.hidden = !template;
+        document.getElementById('btn-template-delete').hidden = !template;
+        if (!template) return;
+        Object.entries(fields).forEach(([key, field]) => field.value = template[key]);
+    };
+
+    ExportTemplates.load();
+    populateSelect();
+
+    // Edits are saved as you type
+    Object.entries(fields).forEach(([key, field]) => {
+        field.addEventListener('input', () => {
+            const template = getSelectedTemplate();
+            if (!template) return;
+            ExportTemplates.update(template.id, { [key]: field.value });
+            if (key === 'name') select.selectedOptions[0].textContent = field.value;
+            updatePreview();
+        });
+    });
+
+    document.getElementById('btn-template-new').addEventListener('click', () => {
+        const template = ExportTemplates.create(getSelectedTemplate() || {});
+        populateSelect(`template:${template.id}`);
+        showEditor();
+        updatePreview();
+        fields.name.focus();
+    });
+    document.getElementById('btn-template-delete').addEventListener('click', () => {
+        const template = getSelectedTemplate();
+        if (!template || !confirm(`Delete template "${template.name}"?`)) return;
+        ExportTemplates.remove(template.id);
+        populateSelect('text');
+        showEditor();
+        updatePreview();
+    });
+
+    document.getElementById('btn-export').addEventListener('click', () => {
+        // Prefill the duration from the loaded media
+        const media = MediaSync.getEl();
+        if (!durationInput.value && MediaSync.isActive() && media && isFinite(media.duration)) {
+            durationInput.value = formatTimeSimple(media.duration * 1000);
+        }
+        renderCategoryChecks();
+        updatePreview();
+        Modal.open('export-modal');
+    });
+    select.addEventListener('change', () => {
+        showEditor();
+        updatePreview();
+    });
+    nestingSelect.addEventListener('change', updatePreview);
+    durationInput.addEventListener('input', updatePreview);
+
+    document.getElementById('btn-export-copy').addEventListener('click', (e) => {
+        copyText(exportTimestamps(select.value, getOptions()), e.currentTarget);
+    });
+    document.getElementById('btn-export-download').addEventListener('click', () => {
+        const format = getExportFormat(select.value);
+        downloadText(exportTimestamps(select.value, getOptions()), `${getExportBaseName()}.${format.extension}`, format.mimeType);
+    });
+}
+
+/**
+ * Modals
+ * Backdrops with class .modal-backdrop, toggled via the hidden attribute.
+ * Buttons with [data-close-modal] close their modal.
+ */
+const Modal = {
+    open: (id) => {
+        const backdrop = document.getElementById(id);
+        backdrop.hidden = false;
+        const focusTarget = backdrop.querySelector('textarea, input, select, button:not([data-close-modal])');
+        if (focusTarget) focusTarget.focus();
+    },
+    close: (id) => {
+        document.getElementById(id).hidden = true;
+    },
+    isOpen: () => !!document.querySelector('.modal-backdrop:not([hidden])'),
+    init: () => {
+        document.querySelectorAll('.modal-backdrop').forEach(backdrop => {
+            backdrop.addEventListener('click', (e) => {
+                if (e.target === backdrop) backdrop.hidden = true;
+            });
+            backdrop.querySelectorAll('[data-close-modal]').forEach(btn => {
+                btn.addEventListener('click', () => backdrop.hidden = true);
+            });
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape') return;
+            document.querySelectorAll('.modal-backdrop:not([hidden])').forEach(backdrop => backdrop.hidden = true);
+        });
+    }
+};
+
+/**
+ * Settings
+ * User preferences that survive reset (kept apart from session data)
+ */
+const Settings = {
+    storageKey: 'yt_ts_maker_settings',
+    values: {
+        chapterChecks: true,
+        snapshotMinutes: 5,   // Automatic snapshot interval, 0 = off
+        timeFormat: { precision: 'seconds', frameRate: '30', rounding: 'floor' },
+        autoSort: false,      // Keep the list in display-time order
+        hotkeys: {},          // actionId -> key combo, overrides HOTKEY_ACTIONS defaults
+        presets: ['Song', 'Q&A', 'Break', '', '', '', '', '', ''],
+        categories: [
+            { id: 1, name: 'Songs', color: '#8b5cf6' },
+            { id: 2, name: 'Clip idea', color: '#f59e0b' }
+        ]
+    },
+    load: () => {
+        const raw = localStorage.getItem(Settings.storageKey);
+        if (!raw) return;
+        try {
+            Object.assign(Settings.values, JSON.parse(raw));
+        } catch (e) {
+            console.error("Failed to load settings", e);
+        }
+    },
+    get: (key) => Settings.values[key],
+    set: (key, value) => {
+        Settings.values[key] = value;
+        localStorage.setItem(Settings.storageKey, JSON.stringify(Settings.values));
+    }
+};
+
+/**
+ * Categories
+ * Optional category per timestamp (ts.category = category id). The category
+ * list lives in Settings so every project shares it.
+ */
+const CATEGORY_COLORS = ['#06b6d4', '#8b5cf6', '#22c55e', '#f59e0b', '#ef4444', '#ec4899'];
+const UNCATEGORIZED = 'none';
+const hiddenCategories = new Set(); // Filter bar state (category keys), not persisted
+
+function getCategory(id) {
+    return Settings.get('categories').find(c => c.id === id) || null;
+}
+
+function getCategoryKey(ts) {
+    // Deleted categories count as uncategorized
+    const category = getCategory(ts.category);
+    return category ? String(category.id) : UNCATEGORIZED;
+}
+
+function getCategoryOptions() {
+    return [
+        ...Settings.get('categories').map(c => ({ key: String(c.id), name: c.name, color: c.color })),
+        { key: UNCATEGORIZED, name: 'Uncategorized', color: 'transparent' }
+    ];
+}
+
+function setTimestampCategory(id, categoryId) {
+    const ts = state.timestamps.find(t => t.id === id);
+    if (!ts) return;
+    History.record('Set category');
+    if (categoryId === null) delete ts.category;
+    else ts.category = categoryId;
+    renderTimestamps(true, false);
+    saveState();
+}
+
+function renderCategorySelect(ts) {
+    const options = Settings.get('categories').map(c =>
+        `<option value="${c.id}" ${c.id === ts.category ? 'selected' : ''}></option>`
+    ).join('');
+    return `<select class="ts-category" aria-label="Category"><option value="">No category</option>${options}</select>`;
+}
+
+function applyCategoryStyle(item, ts) {
+    const category = getCategory(ts.category);
+    item.classList.toggle('categorized', !!category);
+    item.style.setProperty('--category-color', category ? category.color : 'transparent');
+    item.classList.toggle('filtered-out', hiddenCategories.has(getCategoryKey(ts)));
+}
+
+function renderCategoryBar() {
+    const bar = document.getElementById('category-bar');
+    bar.innerHTML = '';
+
+    getCategoryOptions().forEach(({ key, name, color }) => {
+        const chip = document.createElement('button');
+        chip.className = 'category-chip' + (hiddenCategories.has(key) ? ' off' : '');
+        chip.title = hiddenCategories.has(key) ? 'Show' : 'Hide';
+        chip.innerHTML = '<span class="category-dot"></span><span></span>';
+        chip.querySelector('.category-dot').style.background = color;
+        chip.lastElementChild.textContent = name;
+        chip.addEventListener('click', () => {
+            if (hiddenCategories.has(key)) hiddenCategories.delete(key);
+            else hiddenCategories.add(key);
+            renderCategoryBar();
+            renderTimestamps(true, false);
+        });
+        bar.appendChild(chip);
+    });
+
+    const edit = document.createElement('button');
+    edit.className = 'category-chip';
+    edit.textContent = 'Edit categories';
+    edit.addEventListener('click', () => {
+        renderCategoryEditor();
+        Modal.open('categories-modal');
+    });
+    bar.appendChild(edit);
+}
+
+function updateCategories(categories) {
+    Settings.set('categories', categories);
+    renderCategoryBar();
+    renderTimestamps(true, false);
+}
+
+function renderCategoryEditor() {
+    const list = document.getElementById('category-list');
+    list.innerHTML = '';
+
+    Settings.get('categories').forEach(category => {
+        const item = document.createElement('li');
+        item.className = 'hotkey-item';
+        item.innerHTML = `
+            <input type="color" class="category-color-input" aria-label="Colour">
+            <input type="text" class="modal-input" aria-label="Name">
+            <button class="file-btn" data-action="delete">Delete</button>
+        `;
+        const colorInput = item.querySelector('input[type="color"]');
+        const nameInput = item.querySelector('input[type="text"]');
+        colorInput.value = category.color;
+        nameInput.value = category.name;
+
+        const save = (updates) => updateCategories(Settings.get('categories').map(c => c.id === category.id ? Object.assign({}, c, updates) : c));
+        colorInput.addEventListener('change', () => save({ color: colorInput.value }));
+        nameInput.addEventListener('change', () => {
+            if (nameInput.value.trim()) save({ name: nameInput.value.trim() });
+        });
+        item.querySelector('[data-action="delete"]').addEventListener('click', () => {
+            if (!confirm(`Delete category "${category.name}"? Its timestamps become uncategorized.`)) return;
+            hiddenCategories.delete(String(category.id));
+            updateCategories(Settings.get('categories').filter(c => c.id !== category.id));
+            renderCategoryEditor();
+        });
+        list.appendChild(item);
+    });
+}
+
+function initCategories() {
+    document.getElementById('btn-category-add').addEventListener('click', () => {
+        const categories = Settings.get('categories');
+        const id = categories.reduce((max, c) => Math.max(max, c.id), 0) + 1;
+        updateCategories([...categories, {
+            id,
+            name: `Category ${id}`,
+            color: CATEGORY_COLORS[categories.length % CATEGORY_COLORS.length]
+        }]);
+        renderCategoryEditor();
+        const inputs = document.querySelectorAll('#category-list input[type="text"]');
+        inputs[inputs.length - 1].select();
+    });
+    renderCategoryBar();
+}
+
+/**
+ * Bulk Editing
+ * Selection is UI state (not saved). Shift-click selects a range in list order.
+ */
+const selectedIds = new Set();
+let selectionAnchorId = null;
+
+function getVisibleTimestamps() {
+    return state.timestamps.filter(ts => !hiddenCategories.has(getCategoryKey(ts)));
+}
+
+function toggleSelection(id, rangeSelect) {
+    if (rangeSelect && selectionAnchorId !== null) {
+        const visible = getVisibleTimestamps().map(t => t.id);
+        const from = visible.indexOf(selectionAnchorId);
+        const to = visible.indexOf(id);
+        if (from !== -1 && to !== -1) {
+            visible.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(v => selectedIds.add(v));
+            updateSelectionUI();
+            return;
+        }
+    }
+    if (selectedIds.has(id)) selectedIds.delete(id);
+    else selectedIds.add(id);
+    selectionAnchorId = id;
+    updateSelectionUI();
+}
+
+function selectAll() {
+    const visible = getVisibleTimestamps();
+    // Toggle: select all, or clear if everything is already selected
+    if (visible.length > 0 && visible.every(ts => selectedIds.has(ts.id))) selectedIds.clear();
+    else visible.forEach(ts => selectedIds.add(ts.id));
+    updateSelectionUI();
+}
+
+function clearSelection() {
+    selectedIds.clear();
+    selectionAnchorId = null;
+    updateSelectionUI();
+}
+
+function getSelectedTimestamps() {
+    return state.timestamps.filter(ts => selectedIds.has(ts.id));
+}
+
+function shiftSelected(deltaSec) {
+    const selected = getSelectedTimestamps();
+    if (selected.length === 0 || !deltaSec) return;
+
+    History.record('Shift selected', { mergeKey: 'shift-selected' });
+    selected.forEach(ts => {
+        ts.localOffset += deltaSec * 1000;
+        // Ranges move as a whole
+        if (ts.end) ts.end.localOffset += deltaSec * 1000;
+    });
+    renderTimestamps(true, false);
+    saveState();
+}
+
+function deleteSelected() {
+    const count = selectedIds.size;
+    if (count === 0) return;
+
+    Snapshots.take('Before delete');
+    History.record('Delete selected');
+    state.timestamps = state.timestamps.filter(ts => !selectedIds.has(ts.id));
+    clearSelection();
+    renderTimestamps(true, false);
+    saveState();
+    showUndoToast(`${count} timestamp${count === 1 ? '' : 's'} deleted.`);
+    announce(`${count} timestamp${count === 1 ? '' : 's'} deleted.`);
+}
+
+function updateSelectionUI() {
+    // Drop ids that no longer exist (deleted, project switched)
+    const existing = new Set(state.timestamps.map(t => t.id));
+    [...selectedIds].forEach(id => {
+        if (!existing.has(id)) selectedIds.delete(id);
+    });
+
+    state.timestamps.forEach(ts => {
+        const item = document.getElementById(`ts-item-${ts.id}`);
+        if (!item) return;
+        item.classList.toggle('selected', selectedIds.has(ts.id));
+        item.querySelector('.ts-select').checked = selectedIds.has(ts.id);
+    });
+
+    document.getElementById('bulk-actions').hidden = selectedIds.size === 0;
+    document.getElementById('bulk-count').textContent = `${selectedIds.size} selected`;
+}
+
+function buildFindPattern(find, useRegex, caseSensitive) {
+    // Throws on an invalid regex
+    const source = useRegex ? find : find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(source, caseSensitive ? 'g' : 'gi');
+}
+
+function replaceInDescriptions(pattern, replacement, onlySelected) {
+    const targets = onlySelected ? getSelectedTimestamps() : state.timestamps;
+    const changed = targets.filter(ts => {
+        pattern.lastIndex = 0;
+        return pattern.test(ts.description || '');
+    });
+    if (changed.length === 0) return 0;
+
+    History.record('Find and replace');
+    changed.forEach(ts => {
+        ts.description = ts.description.replace(pattern, replacement);
+    });
+    renderTimestamps(true, false);
+    saveState();
+    return changed.length;
+}
+
+function initBulkEditing() {
+    const shiftInput = document.getElementById('bulk-shift');
+
+    document.getElementById('btn-select-all').addEventListener('click', selectAll);
+    document.getElementById('btn-bulk-clear').addEventListener('click', clearSelection);
+    document.getElementById('btn-bulk-delete').addEventListener('click', () => {
+        if (!confirm(`Delete ${selectedIds.size} selected timestamps?`)) return;
+        deleteSelected();
+    });
+    document.getElementById('btn-bulk-minus').addEventListener('click', () => shiftSelected(-1));
+    document.getElementById('btn-bulk-plus').addEventListener('click', () => shiftSelected(1));
+    document.getElementById('btn-bulk-apply').addEventListener('click', () => {
+        // Seconds, H:MM:SS or frames ("12f"), optionally signed, like entry offsets
+        const offsetMs = TimeFormat.parseOffset(shiftInput.value);
+        if (!isNaN(offsetMs)) shiftSelected(offsetMs / 1000);
+        shiftInput.value = '0';
+    });
+
+    // Find & Replace
+    const findInput = document.getElementById('find-text');
+    const replaceInput = document.getElementById('replace-text');
+    const regexBox = document.getElementById('find-regex');
+    const caseBox = document.getElementById('find-case');
+    const selectedBox = document.getElementById('find-selected');
+    const status = document.getElementById('find-status');
+    const btnReplace = document.getElementById('btn-replace-all');
+
+    const getPattern = () => {
+        if (!findInput.value) return null;
+        try {
+            return buildFindPattern(findInput.value, regexBox.checked, caseBox.checked);
+        } catch (e) {
+            return e;
+        }
+    };
+    const updateStatus = () => {
+        selectedBox.disabled = selectedIds.size === 0;
+        if (selectedBox.disabled) selectedBox.checked = false;
+
+        const pattern = getPattern();
+        if (pattern instanceof Error) {
+            status.textContent = pattern.message;
+            btnReplace.disabled = true;
+            return;
+        }
+        const targets = selectedBox.checked ? getSelectedTimestamps() : state.timestamps;
+        const matches = pattern ? targets.filter(ts => {
+            pattern.lastIndex = 0;
+            return pattern.test(ts.description || '');
+        }).length : 0;
+        status.textContent = pattern ? `${matches} matching ${matches === 1 ? 'entry' : 'entries'}` : '';
+        btnReplace.disabled = matches === 0;
+    };
+
+    document.getElementById('btn-find-replace').addEventListener('click', () => {
+        updateStatus();
+        Modal.open('find-modal');
+    });
+    [findInput, replaceInput].forEach(input => input.addEventListener('input', updateStatus));
+    [regexBox, caseBox, selectedBox].forEach(box => box.addEventListener('change', updateStatus));
+    btnReplace.addEventListener('click', () => {
+        const pattern = getPattern();
+        if (!pattern || pattern instanceof Error) return;
+        // Plain-text mode inserts the replacement literally
+        const replacement = regexBox.checked ? replaceInput.value : replaceInput.value.replace(/\$/g, '$$$$');
+        const count = replaceInDescriptions(pattern, replacement, selectedBox.checked);
+        Modal.close('find-modal');
+        showUndoToast(`Replaced in ${count} ${count === 1 ? 'entry' : 'entries'}.`);
+    });
+}
+
+/**
+ * List Editing
+ * Insert at a typed time, reorder by drag, split and duplicate entries.
+ */
+function insertByTime(ts) {
+    // Chronological position, so the list stays ordered without auto-sort too
+    const time = calculateDisplayTime(ts);
+    const index = state.timestamps.findIndex(t => calculateDisplayTime(t) > time);
+    if (index === -1) state.timestamps.push(ts);
+    else state.timestamps.splice(index, 0, ts);
+}
+
+function insertTimestampAt(displayMs, description = '') {
+    // Typed times are final (display) times, like imported ones
+    History.record('Insert timestamp');
+    const ts = {
+        id: state.nextId++,
+        rawTime: displayMs - state.globalOffset * 1000,
+        description,
+        localOffset: 0
+    };
+
+    insertByTime(ts);
+    renderTimestamps(true, false);
+    saveState();
+    return ts;
+}
+
+function moveTimestamp(id, toIndex) {
+    const from = state.timestamps.findIndex(t => t.id === id);
+    if (from === -1 || from === toIndex) return;
+
+    History.record('Reorder');
+    const [ts] = state.timestamps.splice(from, 1);
+    // toIndex was counted with the item still in place
+    state.timestamps.splice(toIndex > from ? toIndex - 1 : toIndex, 0, ts);
+    renderTimestamps(true, false);
+    saveState();
+}
+
+function duplicateTimestamp(id) {
+    const index = state.timestamps.findIndex(t => t.id === id);
+    if (index === -1) return;
+
+    History.record('Duplicate');
+    const copy = JSON.parse(JSON.stringify(state.timestamps[index]));
+    copy.id = state.nextId++;
+    state.timestamps.splice(index + 1, 0, copy);
+    renderTimestamps(true, false);
+    saveState();
+}
+
+function getChapterEnd(ts) {
+    // Segment end, or where the next entry in time starts
+    if (ts.end) return calculateEndDisplayTime(ts);
+    const start = calculateDisplayTime(ts);
+    const later = state.timestamps.map(calculateDisplayTime).filter(t => t > start);
+    return later.length ? Math.min(...later) : null;
+}
+
+function splitTimestamp(id) {
+    const index = state.timestamps.findIndex(t => t.id === id);
+    const ts = state.timestamps[index];
+    if (!ts || ts.end === null) return; // Open segments have nothing to split yet
+
+    // At the timer position when it's inside this chapter, otherwise in the middle
+    const start = calculateDisplayTime(ts);
+    const end = getChapterEnd(ts);
+    const playhead = Timer.getCurrentTime();
+    let at;
+    if (playhead > start && (end === null || playhead < end)) at = playhead;
+    else if (end !== null) at = start + (end - start) / 2;
+    else {
+        showToast('Move the timer past this entry to split it.');
+        return;
+    }
+
+    History.record('Split');
+    const part = JSON.parse(JSON.stringify(ts));
+    part.id = state.nextId++;
+    part.rawTime = ts.rawTime + (at - start);
+    delete part.realTime;
+    if (ts.end) {
+        // First part ends where the second begins
+        ts.end = { rawTime: part.rawTime, localOffset: ts.localOffset };
+    }
+    state.timestamps.splice(index + 1, 0, part);
+    renderTimestamps(true, false);
+    saveState();
+}
+
+window.splitTimestamp = splitTimestamp;
+window.duplicateTimestamp = duplicateTimestamp;
+
+function initDragReorder(item, ts) {
+    const handle = item.querySelector('.ts-drag-handle');
+
+    // Only the handle starts a drag, so text selection in inputs keeps working
+    handle.addEventListener('mousedown', () => item.draggable = !Settings.get('autoSort'));
+    handle.addEventListener('mouseup', () => item.draggable = false);
+    item.addEventListener('dragstart', (e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(ts.id));
+        item.classList.add('dragging');
+    });
+    item.addEventListener('dragend', () => {
+        item.draggable = false;
+        item.classList.remove('dragging');
+    });
+    item.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        const rect = item.getBoundingClientRect();
+        const after = e.clientY > rect.top + rect.height / 2;
+        item.classList.toggle('drop-before', !after);
+        item.classList.toggle('drop-after', after);
+    });
+    item.addEventListener('dragleave', () => item.classList.remove('drop-before', 'drop-after'));
+    item.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const after = item.classList.contains('drop-after');
+        item.classList.remove('drop-before', 'drop-after');
+        const draggedId = Number(e.dataTransfer.getData('text/plain'));
+        const index = state.timestamps.indexOf(ts);
+        moveTimestamp(draggedId, after ? index + 1 : index);
+    });
+}
+
+function initListEditing() {
+    const timeInput = document.getElementById('insert-time');
+    const insert = () => {
+        const ms = parseTimeString(timeInput.value);
+        if (isNaN(ms) || ms < 0) {
+            timeInput.classList.add('invalid');
+            return;
+        }
+        timeInput.classList.remove('invalid');
+        timeInput.value = '';
+        const ts = insertTimestampAt(ms);
+        focusTimestamp(ts.id);
+    };
+    document.getElementById('btn-insert').addEventListener('click', insert);
+    timeInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') insert();
+    });
+
+    const autoSort = document.getElementById('auto-sort-toggle');
+    autoSort.checked = Settings.get('autoSort');
+    autoSort.addEventListener('change', () => {
+        Settings.set('autoSort', autoSort.checked);
+        if (autoSort.checked) sortTimestamps();
+        else renderTimestamps(true, false);
+    });
+}
+
+/**
+ * Chapter Validation
+ * Flags list problems that stop YouTube from showing chapters. The checks are
+ * checkChapters in core.js; this adds a fix for each kind of issue.
+ */
+const CHAPTER_FIXES = {
+    start: () => ({ label: 'Insert 0:00 intro', action: insertIntroTimestamp }),
+    order: () => ({ label: 'Sort list', action: sortTimestamps }),
+    duplicate: (entry, prev) => ({ label: 'Merge', action: () => mergeTimestamps(prev.ts.id, entry.ts.id) }),
+    short: (entry, other) => other.start < entry.start
+        ? { label: 'Merge into previous', action: () => mergeTimestamps(other.ts.id, entry.ts.id) }
+        : { label: 'Merge next into this', action: () => mergeTimestamps(entry.ts.id, other.ts.id) },
+    empty: (entry) => ({ label: 'Edit', action: () => focusTimestamp(entry.ts.id) })
+};
+
+function validateChapters() {
+    // Only top-level entries become YouTube chapters
+    const { general, issues } = TimestampCore.checkChapters(buildExportEntries({ nesting: 'top' }));
+    const byId = new Map();
+    issues.forEach(({ type, entry, message, other }) => {
+        if (!byId.has(entry.ts.id)) byId.set(entry.ts.id, []);
+        byId.get(entry.ts.id).push({ message, fix: CHAPTER_FIXES[type](entry, other) });
+    });
+    return { general, byId };
+}
+
+function insertIntroTimestamp() {
+    // rawTime chosen so the display time is exactly 0:00 with the current global offset
+    History.record('Insert intro');
+    state.timestamps.unshift({
+        id: state.nextId++,
+        rawTime: -state.globalOffset * 1000,
+        description: 'Intro',
+        localOffset: 0
+    });
+    renderTimestamps(true, false);
+    saveState();
+}
+
+function sortByDisplayTime(timestamps) {
+    // Stable, so equal times keep their list order
+    return timestamps.sort((a, b) => calculateDisplayTime(a) - calculateDisplayTime(b));
+}
+
+function sortTimestamps() {
+    History.record('Sort');
+    sortByDisplayTime(state.timestamps);
+    renderTimestamps(true, false);
+    saveState();
+}
+
+function mergeTimestamps(keepId, removeId) {
+    // Folds one entry into another, keeping both descriptions
+    const keep = state.timestamps.find(t => t.id === keepId);
+    const remove = state.timestamps.find(t => t.id === removeId);
+    if (!keep || !remove) return;
+
+    History.batch('Merge', () => {
+        keep.description = [keep.description, remove.description].filter(d => d && d.trim()).join(' / ');
+        deleteTimestamp(removeId);
+    });
+}
+
+function updateChapterWarnings() {
+    const summary = document.getElementById('lint-summary');
+    const enabled = Settings.get('chapterChecks');
+    const { general, byId } = enabled ? validateChapters() : { general: [], byId: new Map() };
+
+    ListView.issues = byId;
+    ListView.items.forEach(({ ts }) => renderItemWarnings(ts));
+
+    const total = general.length + [...byId.values()].reduce((sum, issues) => sum + issues.length, 0);
+    summary.hidden = total === 0;
+    summary.textContent = total === 0 ? '' : `${total} chapter issue${total === 1 ? '' : 's'}. ${general.join(' ')}`.trim();
+}
+
+function renderItemWarnings(ts) {
+    // Items rendered later (scrolled into view) pick up the last check's issues
+    const container = document.getElementById(`ts-warnings-${ts.id}`);
+    if (!container) return;
+    const issues = ListView.issues.get(ts.id) || [];
+
+    container.innerHTML = '';
+    container.hidden = issues.length === 0;
+    document.getElementById(`ts-item-${ts.id}`).classList.toggle('has-warning', issues.length > 0);
+
+    issues.forEach(issue => {
+        const row = document.createElement('div');
+        row.className = 'ts-warning';
+        const text = document.createElement('span');
+        text.textContent = issue.message;
+        row.appendChild(text);
+
+        if (issue.fix) {
+            const btn = document.createElement('button');
+            btn.className = 'ts-fix-btn';
+            btn.textContent = issue.fix.label;
+            btn.addEventListener('click', issue.fix.action);
+            row.appendChild(btn);
+        }
+        container.appendChild(row);
+    });
+}
+
+function initChapterChecks() {
+    const toggle = document.getElementById('chapter-checks-toggle');
+    toggle.checked = Settings.get('chapterChecks');
+    toggle.addEventListener('change', () => {
+        Settings.set('chapterChecks', toggle.checked);
+        updateChapterWarnings();
+    });
+    updateChapterWarnings();
+}
+
+/**
+ * Rendering
+ */
+function renderOffsetControl(id, label, offsetMs, which) {
+    const step = TimeFormat.stepSeconds();
+    return `
+                <div class="local-offset-control" role="group" aria-label="${label} offset">
+                    <span class="offset-label">${label}</span>
+                    <button onclick="adjustLocalOffset(${id}, -${step}, '${which}')" class="icon-btn-large" aria-label="Earlier">-</button>
+                    <input type="text" class="ts-offset-input-large" data-which="${which}" value="${TimeFormat.formatOffset(offsetMs)}" aria-label="${label} offset" onchange="setLocalOffset(${id}, this.value, '${which}')">
+                    <button onclick="adjustLocalOffset(${id}, ${step}, '${which}')" class="icon-btn-large" aria-label="Later">+</button>
+                </div>`;
+}
+
+function formatSegmentEnd(ts) {
+    const end = calculateEndDisplayTime(ts);
+    if (end === null) return '→ <span class="segment-open">recording…</span>';
+    const duration = end - calculateDisplayTime(ts);
+    return `→ ${TimeFormat.format(end)} <span class="segment-duration">(${TimeFormat.format(duration)})</span>`;
+}
+
+/**
+ * List View
+ * Items are keyed by timestamp id and only rebuilt when something in their
+ * markup changed; times, descriptions and flags are patched in place. Long
+ * lists only render the items near the viewport, with spacers for the rest.
+ */
+const VIRTUALIZE_AFTER = 150;        // Shorter lists render every item
+const ESTIMATED_ITEM_HEIGHT = 110;   // Until an item has been measured
+const OVERSCAN_PX = 800;             // Rendered beyond the viewport on each side
+
+const ListView = {
+    items: new Map(),                // id -> { el, ts, signature } for rendered items
+    heights: new Map(),              // id -> last measured height
+    visible: [],                     // Timestamps passing the category filter, in list order
+    levels: new Map(),
+    issues: new Map(),               // id -> chapter issues from the last check
+    topSpacer: null,
+    bottomSpacer: null,
+    frame: null
+};
+
+function getItemSignature(ts, level, context) {
+    // Everything baked into an item's markup; times and text are patched instead
+    const shape = ts.end === undefined ? 'point' : ts.end === null ? 'open' : 'closed';
+    return [shape, level, ts.category, context].join('|');
+}
+
+function createTimestampItem(ts, level) {
+    const item = document.createElement('div');
+    item.className = 'timestamp-item' + (isSegment(ts) ? ' segment' : '');
+    item.id = `ts-item-${ts.id}`;
+    item.tabIndex = 0;
+    item.setAttribute('role', 'listitem');
+    if (level > 0) {
+        item.classList.add('nested');
+        item.style.marginLeft = `${level * 24}px`;
+    }
+    // XSS FIX: Removed value="${ts.description}" to prevent HTML injection.
+    // We set the value programmatically below.
+    item.innerHTML = `
+        <div class="ts-delete-overlay" id="delete-overlay-${ts.id}" aria-hidden="true">
+            <div class="delete-progress"></div>
+            <span>HOLD TO DELETE</span>
+        </div>
+        <div class="ts-content-row">
+            <span class="ts-drag-handle" title="Drag to reorder">⋮⋮</span>
+            <input type="checkbox" class="ts-select" aria-label="Select timestamp">
+            <div class="ts-time" id="ts-time-${ts.id}" title="Seek player here">${TimeFormat.format(calculateDisplayTime(ts))}</div>
+            <span class="ts-cut-badge" id="ts-cut-${ts.id}" hidden>CUT</span>
+            ${isSegment(ts) ? `<div class="ts-end-time" id="ts-end-${ts.id}">${formatSegmentEnd(ts)}</div>` : ''}
+            <input class="ts-desc" type="text" placeholder="Description..." aria-label="Description" onchange="updateTimestamp(${ts.id}, {description: this.value})">
+        </div>
+        <div class="ts-actions-row">
+            ${renderCategorySelect(ts)}
+            <div class="ts-level-control">
+                <button onclick="splitTimestamp(${ts.id})" class="icon-btn-large" title="Split here (at the timer, or in the middle)" aria-label="Split" ${ts.end === null ? 'disabled' : ''}>✂</button>
+                <button onclick="duplicateTimestamp(${ts.id})" class="icon-btn-large" title="Duplicate" aria-label="Duplicate">⧉</button>
+                <button onclick="changeLevel(${ts.id}, -1)" class="icon-btn-large" title="Outdent" aria-label="Outdent" ${level === 0 ? 'disabled' : ''}>⇤</button>
+                <button onclick="changeLevel(${ts.id}, 1)" class="icon-btn-large" title="Indent (make child of the entry above)" aria-label="Indent">⇥</button>
+                <button onclick="confirmDeleteTimestamp(${ts.id})" class="icon-btn-large ts-delete-btn" title="Delete (or press Delete on the entry)" aria-label="Delete">🗑</button>
+            </div>
+            ${renderOffsetControl(ts.id, isSegment(ts) ? 'Start' : 'Offset', ts.localOffset, 'start')}
+            ${ts.end ? renderOffsetControl(ts.id, 'End', ts.end.localOffset, 'end') : ''}
+        </div>
+        <div class="ts-warnings" id="ts-warnings-${ts.id}" hidden></div>
+    `;
+
+    item.querySelector('.ts-select').addEventListener('click', (e) => {
+        // The checkbox state is driven by selectedIds
+        e.preventDefault();
+        toggleSelection(ts.id, e.shiftKey);
+    });
+
+    // Category names are user input, fill them in safely
+    const categorySelect = item.querySelector('.ts-category');
+    Settings.get('categories').forEach((c, i) => categorySelect.options[i + 1].textContent = c.name);
+    categorySelect.addEventListener('change', () => {
+        setTimestampCategory(ts.id, categorySelect.value ? Number(categorySelect.value) : null);
+    });
+    initDragReorder(item, ts);
+
+    // Keys on the entry itself, not on its fields
+    item.addEventListener('keydown', (e) => {
+        if (e.target !== item) return;
+        if (e.key === 'Delete' || e.key === 'Backspace') {
+            e.preventDefault();
+            e.stopPropagation(); // Not the "delete last mark" hotkey
+            confirmDeleteTimestamp(ts.id);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            e.stopPropagation();
+            item.querySelector('.ts-desc').focus();
+        }
+    });
+
+    // Media mode: click a time to seek the player there
+    item.querySelector('.ts-time').addEventListener('click', () => {
+        MediaSync.seekTo(calculateDisplayTime(ts));
+    });
+
+    const descInput = item.querySelector('.ts-desc');
+    // Safely set the value programmatically
+    descInput.value = ts.description || '';
+
+    descInput.addEventListener('input', (e) => {
+        History.record('Edit description', { mergeKey: `edit-${ts.id}` });
+        ts.description = e.target.value;
+        saveState(); // Debounced, so typing doesn't serialise the list per keystroke
+        updateChapterWarnings();
+    });
+
+    // Long Press Delete Logic
+    const deleteOverlay = item.querySelector(`#delete-overlay-${ts.id}`);
+    // ... (rest of logic same)
+    const progressBar = deleteOverlay.querySelector('.delete-progress');
+    let pressTimer;
+    let isPressing = false;
+
+    const startPress = (e) => {
+        if (e.target !== deleteOverlay && e.target.parentElement !== deleteOverlay) return;
+        // Only trigger if clicking the overlay itself (or immediate text child if structure implies)
+        // simplified: blocking propagation from children if any? The overlay covers the top area.
+
+        isPressing = true;
+        deleteOverlay.classList.add('pressing');
+
+        // 2000ms to delete
+        pressTimer = setTimeout(() => {
+            if (isPressing) {
+                deleteTimestamp(ts.id);
+            }
+        }, 2000);
+    };
+
+    const cancelPress = () => {
+        if (!isPressing) return;
+        isPressing = false;
+        deleteOverlay.classList.remove('pressing');
+        clearTimeout(pressTimer);
+    };
+
+    // Mouse
+    deleteOverlay.addEventListener('mousedown', startPress);
+    deleteOverlay.addEventListener('mouseup', cancelPress);
+    deleteOverlay.addEventListener('mouseleave', cancelPress);
+
+    // Touch
+    deleteOverlay.addEventListener('touchstart', (e) => {
+        e.preventDefault(); // prevent mouse emulation
+        startPress(e);
+    });
+    deleteOverlay.addEventListener('touchend', cancelPress);
+    deleteOverlay.addEventListener('touchcancel', cancelPress);
+
+    return item;
+}
+
+function updateTimestampItem(item, ts) {
+    document.getElementById(`ts-time-${ts.id}`).textContent = TimeFormat.format(calculateDisplayTime(ts));
+    item.setAttribute('aria-label', describeTimestamp(ts));
+    const endEl = document.getElementById(`ts-end-${ts.id}`);
+    if (endEl) endEl.innerHTML = formatSegmentEnd(ts);
+    item.querySelectorAll('.ts-offset-input-large').forEach(input => {
+        // Patched like the times, so the +/- buttons keep focus
+        input.value = TimeFormat.formatOffset(input.dataset.which === 'end' ? ts.end.localOffset : ts.localOffset);
+    });
+    updateCutFlag(ts);
+    applyCategoryStyle(item, ts);
+
+    // Leave the field alone while it's being typed in
+    const descInput = item.querySelector('.ts-desc');
+    if (document.activeElement !== descInput && descInput.value !== ts.description) {
+        descInput.value = ts.description || '';
+    }
+    item.classList.toggle('selected', selectedIds.has(ts.id));
+    item.querySelector('.ts-select').checked = selectedIds.has(ts.id);
+    renderItemWarnings(ts);
+}
+
+function isVirtualized() {
+    return ListView.visible.length > VIRTUALIZE_AFTER;
+}
+
+function getItemTops() {
+    // Top of each visible item, plus the total height at the end
+    const gap = parseFloat(getComputedStyle(document.getElementById('timestamp-list')).rowGap) || 10;
+    const tops = [0];
+    ListView.visible.forEach(ts => {
+        const height = ListView.heights.get(ts.id) || ESTIMATED_ITEM_HEIGHT;
+        tops.push(tops[tops.length - 1] + height + gap);
+    });
+    return { tops, gap };
+}
+
+function renderListWindow() {
+    const container = document.getElementById('timestamp-list');
+    const list = ListView.visible;
+    let first = 0;
+    let last = list.length;
+    let topHeight = 0;
+    let bottomHeight = 0;
+
+    if (isVirtualized()) {
+        const { tops, gap } = getItemTops();
+        const from = container.scrollTop - OVERSCAN_PX;
+        const to = container.scrollTop + container.clientHeight + OVERSCAN_PX;
+        while (first < list.length - 1 && tops[first + 1] < from) first++;
+        last = first;
+        while (last < list.length && tops[last] < to) last++;
+        // The flex gap next to a spacer stands in for the one after the last hidden item
+        topHeight = first > 0 ? tops[first] - gap : 0;
+        bottomHeight = last < list.length ? tops[list.length] - tops[last] - gap : 0;
+    }
+
+    if (!ListView.topSpacer) {
+        ListView.topSpacer = document.createElement('div');
+        ListView.bottomSpacer = document.createElement('div');
+        ListView.topSpacer.className = ListView.bottomSpacer.className = 'list-spacer';
+        ListView.topSpacer.setAttribute('aria-hidden', 'true');
+        ListView.bottomSpacer.setAttribute('aria-hidden', 'true');
+    }
+    const context = `${JSON.stringify(Settings.get('categories'))}|${JSON.stringify(TimeFormat.get())}`;
+    const wanted = list.slice(first, last);
+    const keep = new Set(wanted.map(ts => ts.id));
+
+    // Drop items that scrolled away or no longer exist
+    ListView.items.forEach((entry, id) => {
+        if (keep.has(id)) return;
+        entry.el.remove();
+        ListView.items.delete(id);
+    });
+
+    const nodes = wanted.map(ts => {
+        const level = ListView.levels.get(ts.id);
+        const signature = getItemSignature(ts, level, context);
+        let entry = ListView.items.get(ts.id);
+        // Same object and markup: reuse it (listeners and focus survive)
+        if (!entry || entry.ts !== ts || entry.signature !== signature) {
+            if (entry) entry.el.remove();
+            entry = { el: createTimestampItem(ts, level), ts, signature };
+            ListView.items.set(ts.id, entry);
+        }
+        return entry.el;
+    });
+
+    ListView.topSpacer.hidden = topHeight === 0;
+    ListView.topSpacer.style.height = `${topHeight}px`;
+    ListView.bottomSpacer.hidden = bottomHeight === 0;
+    ListView.bottomSpacer.style.height = `${bottomHeight}px`;
+
+    // Move nodes only where the order differs
+    [ListView.topSpacer, ...nodes, ListView.bottomSpacer].forEach((node, i) => {
+        if (container.children[i] !== node) container.insertBefore(node, container.children[i] || null);
+    });
+
+    wanted.forEach((ts, i) => {
+        const { el } = ListView.items.get(ts.id);
+        // Screen readers still get the full list size when only a window is rendered
+        el.setAttribute('aria-posinset', first + i + 1);
+        el.setAttribute('aria-setsize', list.length);
+        updateTimestampItem(el, ts);
+        if (el.offsetHeight) ListView.heights.set(ts.id, el.offsetHeight);
+    });
+}
+
+function scrollToTimestamp(id) {
+    // Renders the item if it's outside the window; returns its element
+    const index = ListView.visible.findIndex(ts => ts.id === id);
+    if (index === -1) return null;
+    if (isVirtualized() && !ListView.items.has(id)) {
+        const container = document.getElementById('timestamp-list');
+        container.scrollTop = getItemTops().tops[index] - container.clientHeight / 3;
+        renderListWindow();
+    }
+    const entry = ListView.items.get(id);
+    if (entry && entry.el.scrollIntoView) entry.el.scrollIntoView({ block: 'nearest' });
+    return entry ? entry.el : null;
+}
+
+function focusTimestamp(id) {
+    const item = scrollToTimestamp(id);
+    if (item) item.querySelector('.ts-desc').focus();
+}
+
+function renderTimestamps(fullRender = true, scrollToBottom = false) {
+    const container = document.getElementById('timestamp-list');
+
+    if (!fullRender) {
+        ListView.items.forEach(({ el, ts }) => {
+            document.getElementById(`ts-time-${ts.id}`).textContent = TimeFormat.format(calculateDisplayTime(ts));
+            const endEl = document.getElementById(`ts-end-${ts.id}`);
+            if (endEl) endEl.innerHTML = formatSegmentEnd(ts);
+            updateCutFlag(ts);
+        });
+        updateChapterWarnings();
+        renderTimeline();
+        return;
+    }
+
+    container.classList.toggle('auto-sorted', !!Settings.get('autoSort'));
+
+    // Auto-sort keeps the stored order in display time, so exports and undo agree with the screen
+    if (Settings.get('autoSort')) sortByDisplayTime(state.timestamps);
+
+    ListView.visible = state.timestamps.filter(ts => !hiddenCategories.has(getCategoryKey(ts)));
+    ListView.levels = getOutlineLevels();
+
+    if (state.timestamps.length === 0) {
+        ListView.items.clear();
+        ListView.visible = [];
+        container.innerHTML = '<div class="empty-state">No timestamps created yet. Press "Mark Timestamp" to begin.</div>';
+        updateChapterWarnings();
+        updateSegmentButton();
+        updateSelectionUI();
+        renderTimeline();
+        return;
+    }
+
+    const emptyState = container.querySelector('.empty-state');
+    if (emptyState) emptyState.remove();
+
+    if (scrollToBottom && isVirtualized()) {
+        // Jump first so the window is rendered at the end
+        container.scrollTop = getItemTops().tops[ListView.visible.length];
+    }
+    renderListWindow();
+
+    updateChapterWarnings();
+    updateSegmentButton();
+    updateSelectionUI();
+    renderTimeline();
+
+    if (scrollToBottom) {
+        container.scrollTop = container.scrollHeight;
+    }
+}
+
+function initListView() {
+    const container = document.getElementById('timestamp-list');
+    container.addEventListener('scroll', () => {
+        if (!isVirtualized() || ListView.frame) return;
+        ListView.frame = requestAnimationFrame(() => {
+            ListView.frame = null;
+            renderListWindow();
+        });
+    });
+}
+
+/**
+ * Timeline
+ * Chapters as blocks on a bar under the timer. Drag a marker to change its
+ * offset, click anywhere else to move the timer there.
+ */
+const TIMELINE_MIN_MS = 60000;    // Shortest span shown, so a new session isn't one big block
+
+const Timeline = {
+    range: TIMELINE_MIN_MS,
+    growing: [],                  // { el, start }: open-ended parts that follow the playhead
+    press: null                   // { id?, marker?, x, startMs, ms, moved } while the pointer is down
+};
+
+function getTimelineRange() {
+    let end = Math.max(Timer.getCurrentTime(), TIMELINE_MIN_MS);
+    state.timestamps.forEach(ts => {
+        end = Math.max(end, calculateDisplayTime(ts), calculateEndDisplayTime(ts) || 0);
+    });
+    const el = MediaSync.isActive() && MediaSync.getEl();
+    if (el && isFinite(el.duration)) end = Math.max(end, el.duration * 1000);
+    return end * 1.05; // Room to drag past the last marker
+}
+
+function timelinePercent(ms) {
+    return `${Math.min(100, Math.max(0, ms / Timeline.range * 100))}%`;
+}
+
+function addTimelinePart(track, className, start, end) {
+    // end === null: runs to the playhead and grows with it
+    const part = document.createElement('div');
+    part.className = className;
+    part.style.left = timelinePercent(start);
+    part.style.width = timelinePercent(Math.max(0, (end === null ? Timer.getCurrentTime() : end) - start));
+    if (end === null) Timeline.growing.push({ el: part, start });
+    track.appendChild(part);
+    return part;
+}
+
+function renderTimeline() {
+    const track = document.getElementById('timeline-track');
+    if (!track || (Timeline.press && Timeline.press.moved)) return; // Not under a dragged marker
+
+    Timeline.range = getTimelineRange();
+    Timeline.growing = [];
+    track.innerHTML = '';
+
+    const entries = ListView.visible.map(ts => ({ ts, time: calculateDisplayTime(ts), level: ListView.levels.get(ts.id) || 0 }));
+
+    // Chapter blocks for top-level entries, up to the next distinct time
+    const chapters = entries.filter(e => e.level === 0).sort((a, b) => a.time - b.time);
+    chapters.forEach((entry, i) => {
+        const next = chapters.slice(i + 1).find(e => e.time > entry.time);
+        if (!next && i < chapters.length - 1) return; // Same time as the last one
+        const block = addTimelinePart(track, 'timeline-block' + (i % 2 ? ' alt' : ''), entry.time, next ? next.time : null);
+        const length = (next ? next.time : Timer.getCurrentTime()) - entry.time;
+        if (next && length < MIN_CHAPTER_MS) block.classList.add('short');
+        const category = getCategory(entry.ts.category);
+        if (category) block.style.background = category.color;
+        block.title = `${entry.ts.description || 'untitled'} (${TimeFormat.format(Math.max(0, length))})`;
+    });
+
+    entries.filter(e => isSegment(e.ts)).forEach(e => {
+        addTimelinePart(track, 'timeline-segment', e.time, calculateEndDisplayTime(e.ts));
+    });
+
+    entries.forEach(({ ts, time, level }) => {
+        const marker = document.createElement('button');
+        marker.className = 'timeline-marker' + (level > 0 ? ' nested' : '');
+        marker.dataset.id = ts.id;
+        marker.style.left = timelinePercent(time);
+        marker.title = describeTimestamp(ts);
+        marker.setAttribute('aria-label', `${describeTimestamp(ts)}. Arrow keys move it`);
+        track.appendChild(marker);
+    });
+
+    const playhead = document.createElement('div');
+    playhead.className = 'timeline-playhead';
+    playhead.id = 'timeline-playhead';
+    track.appendChild(playhead);
+
+    document.getElementById('timeline-end').textContent = TimeFormat.format(Timeline.range);
+    updateTimelinePlayhead();
+}
+
+function updateTimelinePlayhead() {
+    const playhead = document.getElementById('timeline-playhead');
+    if (!playhead) return;
+    const now = Timer.getCurrentTime();
+    if (now > Timeline.range) {
+        renderTimeline(); // Ran past the end: rescale
+        return;
+    }
+    playhead.style.left = timelinePercent(now);
+    Timeline.growing.forEach(({ el, start }) => el.style.width = timelinePercent(Math.max(0, now - start)));
+}
+
+function getTimelineMs(track, clientX) {
+    const rect = track.getBoundingClientRect();
+    const ratio = rect.width ? (clientX - rect.left) / rect.width : 0;
+    return Math.min(1, Math.max(0, ratio)) * Timeline.range;
+}
+
+function snapToTimeFormat(ms) {
+    // Whole seconds, tenths or frames, matching what the list shows
+    const step = TimeFormat.stepSeconds() * 1000;
+    return Math.max(0, Math.round(ms / step) * step);
+}
+
+function initTimeline() {
+    const track = document.getElementById('timeline-track');
+    const readout = document.getElementById('timeline-readout');
+
+    track.addEventListener('pointerdown', (e) => {
+        const marker = e.target.closest('.timeline-marker');
+        const ms = marker
+            ? calculateDisplayTime(state.timestamps.find(t => t.id === Number(marker.dataset.id)))
+            : getTimelineMs(track, e.clientX);
+        Timeline.press = { marker, x: e.clientX, startMs: ms, ms, moved: false };
+        if (track.setPointerCapture) track.setPointerCapture(e.pointerId);
+        if (marker) e.preventDefault(); // No text selection while dragging
+    });
+
+    track.addEventListener('pointermove', (e) => {
+        const press = Timeline.press;
+        if (!press || !press.marker) return;
+        if (!press.moved && Math.abs(e.clientX - press.x) < 4) return; // Still a click
+        press.moved = true;
+        press.ms = snapToTimeFormat(press.startMs + getTimelineMs(track, e.clientX) - getTimelineMs(track, press.x));
+        press.marker.classList.add('dragging');
+        press.marker.style.left = timelinePercent(press.ms);
+        readout.textContent = `${TimeFormat.format(press.startMs)} → ${TimeFormat.format(press.ms)}`;
+    });
+
+    track.addEventListener('pointerup', () => {
+        const press = Timeline.press;
+        Timeline.press = null;
+        if (!press) return;
+        readout.textContent = '';
+
+        if (press.marker && press.moved) {
+            const ts = state.timestamps.find(t => t.id === Number(press.marker.dataset.id));
+            if (ts && press.ms !== press.startMs) {
+                // Display time moves with the offset (exactly, unless a cut lies in between)
+                History.record('Move marker');
+                ts.localOffset += press.ms - press.startMs;
+                saveState();
+            }
+            renderTimestamps(true, false);
+        } else if (press.marker) {
+            focusTimestamp(Number(press.marker.dataset.id));
+        } else {
+            History.record('Seek timer', { timer: true });
+            Timer.setTime(snapToTimeFormat(press.ms));
+        }
+    });
+
+    track.addEventListener('pointercancel', () => {
+        Timeline.press = null;
+        readout.textContent = '';
+        renderTimeline();
+    });
+
+    track.addEventListener('keydown', (e) => {
+        const marker = e.target.closest('.timeline-marker');
+        if (!marker || !['ArrowLeft', 'ArrowRight', 'Enter'].includes(e.key)) return;
+        e.preventDefault();
+        e.stopPropagation(); // Arrow keys would nudge the timer
+        const id = Number(marker.dataset.id);
+        if (e.key === 'Enter') {
+            focusTimestamp(id);
+            return;
+        }
+        adjustLocalOffset(id, (e.key === 'ArrowLeft' ? -1 : 1) * TimeFormat.stepSeconds());
+        const moved = track.querySelector(`.timeline-marker[data-id="${id}"]`);
+        if (moved) moved.focus();
+    });
+
+    renderTimeline();
+}
+
+/**
+ * Undo / Redo History
+ * Every mutation calls History.record() first, which stores a snapshot of the
+ * session. Undo swaps the current session for the snapshot (and vice versa for redo).
+ * Stacks are saved per project so they survive reloads. They can be large, so
+ * they're written with the debounced session save (and when the page is hidden
+ * or the project changes), not per edit.
+ */
+const HISTORY_LIMIT = 50;
+const HISTORY_MERGE_MS = 1500; // Rapid edits with the same mergeKey become one step
+
+const History = {
+    undoStack: [],
+    redoStack: [],
+    store: null,
+    projectId: null,
+    batchDepth: 0,
+    dirty: false,                 // Stacks changed since the last save
+
+    capture: (label, timer) => {
+        const snapshot = {
+            label,
+            time: Date.now(),
+            timestamps: JSON.parse(JSON.stringify(state.timestamps)),
+            edits: JSON.parse(JSON.stringify(state.edits)),
+            globalOffset: state.globalOffset
+        };
+        // Timer position is only restored for commands that changed it
+        if (timer) {
+            snapshot.timerPosition = Timer.getCurrentTime();
+            snapshot.speedLog = JSON.parse(JSON.stringify(state.timer.speedLog));
+            snapshot.realAccumulated = Timer.getRealTime();
+        }
+        return snapshot;
+    },
+    record: (label, options = {}) => {
+        if (History.batchDepth > 0) return;
+
+        const last = History.undoStack[History.undoStack.length - 1];
+        if (options.mergeKey && last && last.mergeKey === options.mergeKey && Date.now() - last.time < HISTORY_MERGE_MS) {
+            last.time = Date.now();
+            return;
+        }
+
+        const snapshot = History.capture(label, options.timer);
+        snapshot.mergeKey = options.mergeKey || null;
+        History.undoStack.push(snapshot);
+        if (History.undoStack.length > HISTORY_LIMIT) History.undoStack.shift();
+        History.redoStack = [];
+        History.changed();
+    },
+    batch: (label, fn) => {
+        // Several mutations recorded as one step
+        History.record(label);
+        History.batchDepth++;
+        try {
+            fn();
+        } finally {
+            History.batchDepth--;
+        }
+    },
+    undo: () => History.step(History.undoStack, History.redoStack, 'Undid'),
+    redo: () => History.step(History.redoStack, History.undoStack, 'Redid'),
+    step: (from, to, verb) => {
+        const snapshot = from.pop();
+        if (!snapshot) return;
+
+        const current = History.capture(snapshot.label, 'timerPosition' in snapshot);
+        to.push(current);
+        History.restore(snapshot);
+        History.changed();
+        showToast(`${verb}: ${snapshot.label}`);
+    },
+    restore: (snapshot) => {
+        state.timestamps = JSON.parse(JSON.stringify(snapshot.timestamps));
+        // Ids are never reused, even for entries brought back by undo
+        const maxId = state.timestamps.reduce((max, t) => Math.max(max, t.id), 0);
+        state.nextId = Math.max(state.nextId, maxId + 1);
+
+        state.edits = JSON.parse(JSON.stringify(snapshot.edits || []));
+        renderEdits();
+
+        state.globalOffset = snapshot.globalOffset;
+        document.getElementById('global-offset').value = state.globalOffset;
+
+        if ('timerPosition' in snapshot) {
+            Timer.pause();
+            if (snapshot.speedLog) {
+                state.timer.speedLog = JSON.parse(JSON.stringify(snapshot.speedLog));
+                state.timer.realAccumulated = snapshot.realAccumulated;
+            }
+            Timer.setTime(snapshot.timerPosition);
+        }
+
+        renderTimestamps(true, false);
+        saveState();
+    },
+    changed: () => {
+        document.getElementById('btn-undo').disabled = History.undoStack.length === 0;
+        document.getElementById('btn-redo').disabled = History.redoStack.length === 0;
+        History.dirty = true;
+    },
+    save: () => {
+        if (!History.dirty || !History.store || !History.projectId) return;
+        History.dirty = false;
+        History.store.put({ id: History.projectId, undo: History.undoStack, redo: History.redoStack })
+            .catch(e => console.error("Failed to save history", e));
+    },
+    load: async (projectId) => {
+        if (!History.store) History.store = createStore('history');
+        History.save(); // The previous project's unsaved steps
+
+        History.projectId = projectId;
+        History.undoStack = [];
+        History.redoStack = [];
+        try {
+            const record = await History.store.get(projectId);
+            if (record && History.projectId === projectId) {
+                History.undoStack = record.undo || [];
+                History.redoStack = record.redo || [];
+            }
+        } catch (e) {
+            console.error("Failed to load history", e);
+        }
+        History.changed();
+        History.dirty = false; // Just loaded
+    },
+    remove: (projectId) => {
+        if (projectId === History.projectId) History.dirty = false; // Don't write it back
+        if (!History.store) return;
+        History.store.remove(projectId).catch(e => console.error("Failed to delete history", e));
+    }
+};
+
+/**
+ * Toast
+ */
+let toastTimer = null;
+
+function showToast(message, action) {
+    const toast = document.getElementById('toast');
+    const btn = document.getElementById('toast-action');
+    document.getElementById('toast-message').textContent = message;
+
+    btn.hidden = !action;
+    btn.onclick = action ? () => {
+        toast.hidden = true;
+        action.run();
+    } : null;
+    if (action) btn.textContent = action.label;
+
+    toast.hidden = false;
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => toast.hidden = true, 6000);
+}
+
+function announce(message) {
+    // Screen readers only; cleared first so a repeated message is read again
+    const region = document.getElementById('live-region');
+    if (!region) return;
+    region.textContent = '';
+    setTimeout(() => region.textContent = message, 50);
+}
+
+function showUndoToast(message) {
+    // Batched mutations (e.g. merge) don't announce their inner deletes
+    if (History.batchDepth > 0) return;
+    showToast(message, { label: 'Undo', run: History.undo });
+}
+
+function initHistory() {
+    document.getElementById('btn-undo').addEventListener('click', History.undo);
+    document.getElementById('btn-redo').addEventListener('click', History.redo);
+    History.changed();
+}
+
+/**
+ * Hotkeys
+ * Remappable shortcuts. Combos are "Ctrl+Shift+Alt+<KeyboardEvent.code>"
+ * (Cmd counts as Ctrl). Bindings and label presets are kept in Settings.
+ */
+const PRESET_COUNT = 9;
+
+function getLastMark() {
+    // Most recently created, regardless of list order
+    return state.timestamps.reduce((last, t) => (!last || t.id > last.id) ? t : last, null);
+}
+
+function nudgeTimer(deltaMs) {
+    History.record('Nudge timer', { timer: true, mergeKey: 'nudge-timer' });
+    Timer.setTime(Timer.getCurrentTime() + deltaMs);
+}
+
+function nudgeLastMark(deltaSec) {
+    const last = getLastMark();
+    if (last) adjustLocalOffset(last.id, deltaSec);
+}
+
+function deleteLastMark() {
+    const last = getLastMark();
+    if (last) deleteTimestamp(last.id);
+}
+
+function markWithPreset(index) {
+    // Live marking: label in one keystroke, keep focus on the page for further shortcuts
+    const description = Settings.get('presets')[index] || '';
+    createTimestamp(description);
+}
+
+const HOTKEY_ACTIONS = {
+    toggleTimer: { label: 'Start / pause timer', defaultKey: 'Space', run: () => Timer.toggle() },
+    mark: { label: 'Mark timestamp', defaultKey: 'Enter', run: () => addTimestamp() },
+    segment: { label: 'Start / end segment', defaultKey: 'KeyS', run: () => toggleSegment() },
+    timerBack1: { label: 'Timer −1s', defaultKey: 'ArrowLeft', run: () => nudgeTimer(-1000) },
+    timerForward1: { label: 'Timer +1s', defaultKey: 'ArrowRight', run: () => nudgeTimer(1000) },
+    timerBack5: { label: 'Timer −5s', defaultKey: 'Shift+ArrowLeft', run: () => nudgeTimer(-5000) },
+    timerForward5: { label: 'Timer +5s', defaultKey: 'Shift+ArrowRight', run: () => nudgeTimer(5000) },
+    lastMarkBack: { label: 'Last mark −1s', defaultKey: 'BracketLeft', run: () => nudgeLastMark(-1) },
+    lastMarkForward: { label: 'Last mark +1s', defaultKey: 'BracketRight', run: () => nudgeLastMark(1) },
+    deleteLast: { label: 'Delete last mark', defaultKey: 'Delete', run: deleteLastMark },
+    undo: { label: 'Undo', defaultKey: 'Ctrl+KeyZ', run: () => History.undo() },
+    redo: { label: 'Redo', defaultKey: 'Ctrl+Shift+KeyZ', run: () => History.redo() },
+    copy: { label: 'Copy to clipboard', defaultKey: 'KeyC', run: () => document.getElementById('btn-copy-all').click() }
+};
+
+for (let i = 0; i < PRESET_COUNT; i++) {
+    HOTKEY_ACTIONS[`preset${i + 1}`] = {
+        label: `Mark with preset ${i + 1}`,
+        defaultKey: `Digit${i + 1}`,
+        run: () => markWithPreset(i)
+    };
+}
+
+const KEY_LABELS = {
+    ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓',
+    BracketLeft: '[', BracketRight: ']', Minus: '-', Equal: '=', Comma: ',', Period: '.',
+    Slash: '/', Backslash: '\\', Semicolon: ';', Quote: "'", Backquote: '`'
+};
+
+const Hotkeys = {
+    recordingAction: null,
+
+    comboFromEvent: (e) => {
+        const parts = [];
+        if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+        if (e.shiftKey) parts.push('Shift');
+        if (e.altKey) parts.push('Alt');
+        parts.push(e.code);
+        return parts.join('+');
+    },
+    formatCombo: (combo) => {
+        if (!combo) return '';
+        return combo.split('+').map(part => {
+            if (KEY_LABELS[part]) return KEY_LABELS[part];
+            return part.replace(/^Key/, '').replace(/^Digit/, '').replace(/^Numpad/, 'Num ');
+        }).join('+');
+    },
+    getBinding: (actionId) => {
+        const overrides = Settings.get('hotkeys');
+        return actionId in overrides ? overrides[actionId] : HOTKEY_ACTIONS[actionId].defaultKey;
+    },
+    getLabel: (actionId) => Hotkeys.formatCombo(Hotkeys.getBinding(actionId)),
+    findAction: (combo) => Object.keys(HOTKEY_ACTIONS).find(id => Hotkeys.getBinding(id) === combo),
+    bind: (actionId, combo) => {
+        const overrides = Object.assign({}, Settings.get('hotkeys'));
+        // A key does one thing: unbind whatever had it before
+        const previous = combo && Hotkeys.findAction(combo);
+        if (previous && previous !== actionId) overrides[previous] = null;
+        overrides[actionId] = combo;
+        Settings.set('hotkeys', overrides);
+        updateSegmentButton();
+    },
+    resetAll: () => {
+        Settings.set('hotkeys', {});
+        updateSegmentButton();
+    },
+    onKeyDown: (e) => {
+        if (Hotkeys.recordingAction) return; // The settings dialog is capturing
+        // Only if not focused on input or inside a dialog
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+        if (Modal.isOpen()) return;
+        // Keyboard users activate a focused button with Enter/Space
+        if (['Enter', 'Space'].includes(e.code) && e.target.closest('button, a[href], [role="button"]')) return;
+        // A focused entry or timeline marker handles its own keys (Delete removes that one, not the last mark)
+        if (e.target instanceof Element && e.target.closest('.timestamp-item, .timeline-marker')) return;
+        if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return;
+
+        const actionId = Hotkeys.findAction(Hotkeys.comboFromEvent(e));
+        if (!actionId) return;
+        e.preventDefault();
+        HOTKEY_ACTIONS[actionId].run();
+    },
+    init: () => {
+        document.addEventListener('keydown', Hotkeys.onKeyDown);
+    }
+};
+
+function renderHotkeySettings() {
+    const list = document.getElementById('hotkey-list');
+    list.innerHTML = '';
+
+    Object.entries(HOTKEY_ACTIONS).forEach(([id, action]) => {
+        const item = document.createElement('li');
+        item.className = 'hotkey-item';
+        item.innerHTML = `
+            <span class="hotkey-label"></span>
+            <button class="file-btn hotkey-key" data-action="record"></button>
+            <button class="file-btn" data-action="clear" title="Remove shortcut">×</button>
+        `;
+        item.querySelector('.hotkey-label').textContent = action.label;
+        const keyBtn = item.querySelector('[data-action="record"]');
+        keyBtn.textContent = Hotkeys.getLabel(id) || '—';
+
+        keyBtn.addEventListener('click', () => {
+            Hotkeys.recordingAction = id;
+            keyBtn.textContent = 'Press a key…';
+            keyBtn.classList.add('recording');
+
+            const capture = (e) => {
+                if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return;
+                e.preventDefault();
+                e.stopPropagation(); // Keep Escape from closing the dialog
+                document.removeEventListener('keydown', capture, true);
+                Hotkeys.recordingAction = null;
+                if (e.key !== 'Escape') Hotkeys.bind(id, Hotkeys.comboFromEvent(e));
+                renderHotkeySettings();
+            };
+            document.addEventListener('keydown', capture, true);
+        });
+        item.querySelector('[data-action="clear"]').addEventListener('click', () => {
+            Hotkeys.bind(id, null);
+            renderHotkeySettings();
+        });
+        list.appendChild(item);
+    });
+
+    const presetList = document.getElementById('preset-list');
+    presetList.innerHTML = '';
+    Settings.get('presets').forEach((preset, i) => {
+        const item = document.createElement('li');
+        item.className = 'hotkey-item';
+        item.innerHTML = `
+            <span class="hotkey-label">Preset ${i + 1} <span class="project-meta"></span></span>
+            <input type="text" class="modal-input" placeholder="Description">
+        `;
+        item.querySelector('.project-meta').textContent = Hotkeys.getLabel(`preset${i + 1}`) ? `(${Hotkeys.getLabel(`preset${i + 1}`)})` : '';
+        const input = item.querySelector('input');
+        input.value = preset;
+        input.addEventListener('input', () => {
+            const presets = [...Settings.get('presets')];
+            presets[i] = input.value;
+            Settings.set('presets', presets);
+        });
+        presetList.appendChild(item);
+    });
+}
+
+function initHotkeys() {
+    Hotkeys.init();
+    document.getElementById('btn-hotkeys').addEventListener('click', () => {
+        renderHotkeySettings();
+        Modal.open('hotkeys-modal');
+    });
+    document.getElementById('btn-hotkeys-reset').addEventListener('click', () => {
+        if (!confirm("Reset all shortcuts to their defaults?")) return;
+        Hotkeys.resetAll();
+        renderHotkeySettings();
+    });
+}
+
+/**
+ * Storage Adapters
+ * Async record stores keyed by `id`. IndexedDB where available, localStorage otherwise.
+ */
+const DB_STORES = ['projects', 'history', 'snapshots'];
+const DB_VERSION = 3; // Bump when adding to DB_STORES
+
+function createIndexedDBStore(dbName, storeName) {
+    let dbPromise = null;
+
+    const open = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(dbName, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    // All stores share one database, so create whichever are missing
+                    const db = request.result;
+                    DB_STORES.forEach(name => {
+                        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'id' });
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    };
+
+    const run = (mode, operation) => open().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = operation(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    }));
+
+    return {
+        getAll: () => run('readonly', store => store.getAll()),
+        get: (id) => run('readonly', store => store.get(id)),
+        put: (record) => run('readwrite', store => store.put(record)),
+        remove: (id) => run('readwrite', store => store.delete(id))
+    };
+}
+
+function createLocalStorageStore(prefix) {
+    const keyFor = (id) => prefix + id;
+    const read = (key) => JSON.parse(localStorage.getItem(key));
+
+    return {
+        getAll: async () => Object.keys(localStorage).filter(k => k.startsWith(prefix)).map(read),
+        get: async (id) => read(keyFor(id)) || undefined,
+        put: async (record) => localStorage.setItem(keyFor(record.id), JSON.stringify(record)),
+        remove: async (id) => localStorage.removeItem(keyFor(id))
+    };
+}
+
+function createStore(name) {
+    if (typeof indexedDB !== 'undefined') return createIndexedDBStore('yt_ts_maker', name);
+    return createLocalStorageStore(`yt_ts_maker_${name}_`);
+}
+
+/**
+ * Projects
+ * Each project is one session: { id, name, createdAt, updatedAt, data }
+ * where data is what saveState() used to write to the single localStorage slot.
+ */
+const LEGACY_STORAGE_KEY = 'yt_ts_maker_data';
+
+const Projects = {
+    store: null,
+    current: null,            // Record of the open project (without data)
+    currentKey: 'yt_ts_maker_current_project',
+
+    generateId: () => Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+
+    init: async () => {
+        Projects.store = createStore('projects');
+        await Projects.migrateLegacy();
+
+        const all = await Projects.list();
+        const lastId = localStorage.getItem(Projects.currentKey);
+        const record = all.find(p => p.id === lastId) || all[0];
+
+        if (record) {
+            Projects.open(record);
+        } else {
+            await Projects.create('Untitled project');
+        }
+    },
+    migrateLegacy: async () => {
+        // Move the pre-projects single slot into its own project
+        const raw = localStorage.getItem(LEGACY_STORAGE_KEY);
+        if (!raw) return;
+        let record;
+        try {
+            record = Projects.newRecord('Untitled project', JSON.parse(raw));
+        } catch (e) {
+            // Not JSON at all: start empty but keep the text for download
+            record = Projects.newRecord('Recovered project');
+            record.recovery = { savedAt: Date.now(), problems: ['The saved session was not valid JSON.'], raw };
+        }
+        try {
+            await Projects.store.put(record);
+            localStorage.setItem(Projects.currentKey, record.id);
+            localStorage.removeItem(LEGACY_STORAGE_KEY);
+        } catch (e) {
+            console.error("Failed to migrate saved data", e);
+        }
+    },
+    newRecord: (name, data = {}) => {
+        const now = Date.now();
+        return { id: Projects.generateId(), name, createdAt: now, updatedAt: now, data };
+    },
+    list: async () => {
+        const all = await Projects.store.getAll();
+        return all.filter(Boolean).sort((a, b) => b.updatedAt - a.updatedAt);
+    },
+    open: (record) => {
+        // Media belongs to the previous project's VOD
+        if (MediaSync.isActive()) MediaSync.close();
+        flushState(); // Still the previous project's data
+
+        const { data: saved, ...meta } = record;
+        const { data, problems } = loadSessionData(saved);
+        Projects.current = meta;
+        localStorage.setItem(Projects.currentKey, record.id);
+        applySessionData(data);
+        updateProjectName();
+        History.load(record.id);
+        TabSync.join();
+
+        if (problems.length && !meta.recovery) {
+            // Keep the original next to the repaired data until the user lets it go
+            meta.recovery = { savedAt: Date.now(), problems, raw: JSON.stringify(saved) };
+            saveState();
+        }
+        if (meta.recovery) showRecovery();
+    },
+    save: (data) => {
+        if (!Projects.current) return Promise.resolve(); // Not loaded yet
+        Projects.current.updatedAt = Date.now();
+        return Projects.store.put({ ...Projects.current, data })
+            .catch(e => console.error("Failed to save project", e));
+    },
+    create: async (name, data = {}) => {
+        flushState();
+        const record = Projects.newRecord(name, data);
+        await Projects.store.put(record);
+        Projects.open(record);
+        return record;
+    },
+    switchTo: async (id) => {
+        if (Projects.current && Projects.current.id === id) return;
+        flushState();
+        const record = await Projects.store.get(id);
+        if (record) Projects.open(record);
+    },
+    rename: async (id, name) => {
+        const record = await Projects.store.get(id);
+        if (!record) return;
+        record.name = name;
+        await Projects.store.put(record);
+        if (Projects.current && Projects.current.id === id) {
+            Projects.current.name = name;
+            updateProjectName();
+        }
+    },
+    duplicate: async (id) => {
+        await flushState(); // The copy is read back from the store
+        const record = await Projects.store.get(id);
+        if (!record) return;
+        const copy = Projects.newRecord(`${record.name} (copy)`, JSON.parse(JSON.stringify(record.data)));
+        await Projects.store.put(copy);
+        return copy;
+    },
+    remove: async (id) => {
+        await Projects.store.remove(id);
+        History.remove(id);
+        Snapshots.removeProject(id);
+        if (Projects.current && Projects.current.id === id) {
+            Projects.current = null; // Don't re-save the deleted project
+            const [next] = await Projects.list();
+            if (next) Projects.open(next);
+            else await Projects.create('Untitled project');
+        }
+    }
+};
+
+function updateProjectName() {
+    const el = document.getElementById('project-name');
+    if (el && Projects.current) el.textContent = Projects.current.name;
+}
+
+async function renderProjectList() {
+    const list = document.getElementById('project-list');
+    const projects = await Projects.list();
+    list.innerHTML = '';
+
+    projects.forEach(project => {
+        const isCurrent = Projects.current && project.id === Projects.current.id;
+        const timestamps = project.data && project.data.timestamps;
+        const count = Array.isArray(timestamps) ? timestamps.length : 0;
+
+        const item = document.createElement('li');
+        item.className = 'project-item' + (isCurrent ? ' current' : '');
+        item.innerHTML = `
+            <div class="project-info">
+                <div class="project-title"></div>
+                <div class="project-meta">Modified ${new Date(project.updatedAt).toLocaleString()} · ${count} ${count === 1 ? 'entry' : 'entries'}</div>
+            </div>
+            <div class="project-actions">
+                <button class="file-btn" data-action="open" ${isCurrent ? 'disabled' : ''}>Open</button>
+                <button class="file-btn" data-action="rename">Rename</button>
+                <button class="file-btn" data-action="duplicate">Duplicate</button>
+                <button class="file-btn" data-action="delete">Delete</button>
+            </div>
+        `;
+        // Names are user input
+        item.querySelector('.project-title').textContent = project.name + (isCurrent ? ' (current)' : '');
+
+        const actions = {
+            open: async () => {
+                await Projects.switchTo(project.id);
+                Modal.close('projects-modal');
+            },
+            rename: async () => {
+                const name = prompt("Project name", project.name);
+                if (!name || !name.trim()) return;
+                await Projects.rename(project.id, name.trim());
+                renderProjectList();
+            },
+            duplicate: async () => {
+                await Projects.duplicate(project.id);
+                renderProjectList();
+            },
+            delete: async () => {
+                if (!confirm(`Delete project "${project.name}" and all its timestamps?`)) return;
+                await Projects.remove(project.id);
+                renderProjectList();
+            }
+        };
+        item.querySelectorAll('[data-action]').forEach(btn => {
+            btn.addEventListener('click', actions[btn.dataset.action]);
+        });
+
+        list.appendChild(item);
+    });
+}
+
+function showRecovery() {
+    const recovery = Projects.current && Projects.current.recovery;
+    if (!recovery) return;
+    const list = document.getElementById('recovery-problems');
+    list.innerHTML = '';
+    recovery.problems.slice(0, 20).forEach(problem => {
+        const item = document.createElement('li');
+        item.textContent = problem;
+        list.appendChild(item);
+    });
+    if (recovery.problems.length > 20) {
+        const item = document.createElement('li');
+        item.textContent = `…and ${recovery.problems.length - 20} more.`;
+        list.appendChild(item);
+    }
+    Modal.open('recovery-modal');
+}
+
+function initRecovery() {
+    document.getElementById('btn-recovery-download').addEventListener('click', () => {
+        const recovery = Projects.current && Projects.current.recovery;
+        if (!recovery) return;
+        downloadText(recovery.raw, `${Projects.current.name} (original data).json`, 'application/json');
+    });
+    document.getElementById('btn-recovery-discard').addEventListener('click', () => {
+        if (!Projects.current) return;
+        if (!confirm('Discard the original data? Only the repaired version will be kept.')) return;
+        delete Projects.current.recovery;
+        saveState();
+        Modal.close('recovery-modal');
+    });
+}
+
+function initProjects() {
+    document.getElementById('btn-projects').addEventListener('click', async () => {
+        await flushState(); // Entry counts come from the store
+        renderProjectList();
+        Modal.open('projects-modal');
+    });
+    document.getElementById('btn-project-new').addEventListener('click', async () => {
+        const name = prompt("New project name", "Untitled project");
+        if (!name || !name.trim()) return;
+        await Projects.create(name.trim());
+        Modal.close('projects-modal');
+    });
+}
+
+/**
+ * Snapshots
+ * Rolling restore points per project, taken every few minutes and before
+ * destructive actions. Unlike undo they survive a reset made in another tab.
+ */
+const SNAPSHOT_LIMIT = 30; // Per project, oldest dropped first
+const SNAPSHOT_INTERVALS = [0, 1, 2, 5, 10, 15, 30];
+
+const Snapshots = {
+    store: null,
+    intervalId: null,
+    last: null,               // { projectId, json } of the latest snapshot, to skip duplicates
+
+    init: () => {
+        Snapshots.store = createStore('snapshots');
+        Snapshots.schedule();
+    },
+    schedule: () => {
+        clearInterval(Snapshots.intervalId);
+        const minutes = Settings.get('snapshotMinutes');
+        if (minutes > 0) Snapshots.intervalId = setInterval(() => Snapshots.take('Automatic'), minutes * 60000);
+    },
+    take: (reason) => {
+        // Copies the session now; callers change it right after
+        if (!Projects.current || !Snapshots.store) return Promise.resolve();
+        const data = getSessionData();
+        if (!data.timestamps.length && !data.timerAccumulated) return Promise.resolve();
+
+        const projectId = Projects.current.id;
+        const json = JSON.stringify(data);
+        if (Snapshots.last && Snapshots.last.projectId === projectId && Snapshots.last.json === json) {
+            return Promise.resolve();
+        }
+        Snapshots.last = { projectId, json };
+
+        const record = { id: Projects.generateId(), projectId, createdAt: Date.now(), reason, data: JSON.parse(json) };
+        return Snapshots.store.put(record)
+            .then(() => Snapshots.prune(projectId))
+            .catch(e => console.error("Failed to save snapshot", e));
+    },
+    list: async (projectId) => {
+        const all = await Snapshots.store.getAll();
+        return all.filter(s => s && s.projectId === projectId).sort((a, b) => b.createdAt - a.createdAt);
+    },
+    prune: async (projectId) => {
+        const old = (await Snapshots.list(projectId)).slice(SNAPSHOT_LIMIT);
+        await Promise.all(old.map(s => Snapshots.store.remove(s.id)));
+    },
+    removeProject: async (projectId) => {
+        const all = await Snapshots.list(projectId);
+        await Promise.all(all.map(s => Snapshots.store.remove(s.id)))
+            .catch(e => console.error("Failed to remove snapshots", e));
+    },
+    restore: (snapshot) => {
+        Snapshots.take('Before restore');
+        History.record('Restore snapshot', { timer: true });
+        applySessionData(loadSessionData(snapshot.data).data);
+        saveState();
+        showUndoToast('Snapshot restored.');
+    },
+    merge: (snapshot) => {
+        // Adds the snapshot's entries that are missing from the current list
+        const { data } = loadSessionData(snapshot.data);
+        const key = (ts) => `${ts.rawTime + ts.localOffset}|${ts.description}`;
+        const existing = new Set(state.timestamps.map(key));
+        const missing = data.timestamps.filter(ts => !existing.has(key(ts)));
+        if (!missing.length) {
+            showToast('Nothing to merge: every entry is already in the list.');
+            return;
+        }
+
+        History.record('Merge snapshot');
+        missing.forEach(ts => {
+            ts.id = state.nextId++;
+            insertByTime(ts);
+        });
+        renderTimestamps(true, false);
+        saveState();
+        showUndoToast(`${missing.length} ${missing.length === 1 ? 'entry' : 'entries'} merged.`);
+    }
+};
+
+function getSnapshotPreviewTime(data, ts) {
+    // Without the snapshot's cut list applied; close enough to recognise entries
+    return formatTimeSimple(ts.rawTime + ts.localOffset + data.globalOffset * 1000);
+}
+
+async function renderSnapshotList() {
+    const list = document.getElementById('snapshot-list');
+    const snapshots = Projects.current ? await Snapshots.list(Projects.current.id) : [];
+    list.innerHTML = '';
+
+    if (!snapshots.length) {
+        list.innerHTML = '<li class="project-meta">No snapshots yet.</li>';
+        return;
+    }
+
+    snapshots.forEach(snapshot => {
+        const { data } = loadSessionData(snapshot.data);
+        const count = data.timestamps.length;
+
+        const item = document.createElement('li');
+        item.className = 'project-item snapshot-item';
+        item.innerHTML = `
+            <div class="project-info">
+                <div class="project-title">${new Date(snapshot.createdAt).toLocaleString()}</div>
+                <div class="project-meta"><span class="snapshot-reason"></span> · ${count} ${count === 1 ? 'entry' : 'entries'} · timer ${formatTimeSimple(data.timerAccumulated)}</div>
+            </div>
+            <div class="project-actions">
+                <button class="file-btn" data-action="preview">Preview</button>
+                <button class="file-btn" data-action="merge" title="Add entries missing from the current list">Merge</button>
+                <button class="file-btn" data-action="restore" title="Replace the current list and timer">Restore</button>
+            </div>
+            <ol class="snapshot-preview" hidden></ol>
+        `;
+        item.querySelector('.snapshot-reason').textContent = snapshot.reason;
+
+        const preview = item.querySelector('.snapshot-preview');
+        const actions = {
+            preview: () => {
+                if (!preview.children.length) {
+                    data.timestamps.forEach(ts => {
+                        const line = document.createElement('li');
+                        line.textContent = `${getSnapshotPreviewTime(data, ts)} ${ts.description}`;
+                        preview.appendChild(line);
+                    });
+                }
+                preview.hidden = !preview.hidden;
+            },
+            merge: () => {
+                Snapshots.merge(snapshot);
+                Modal.close('snapshots-modal');
+            },
+            restore: () => {
+                if (!confirm('Replace the current list and timer with this snapshot? The current state is snapshotted first.')) return;
+                Snapshots.restore(snapshot);
+                Modal.close('snapshots-modal');
+            }
+        };
+        item.querySelectorAll('[data-action]').forEach(btn => {
+            btn.addEventListener('click', actions[btn.dataset.action]);
+        });
+
+        list.appendChild(item);
+    });
+}
+
+function initSnapshots() {
+    Snapshots.init();
+
+    const interval = document.getElementById('snapshot-interval');
+    SNAPSHOT_INTERVALS.forEach(minutes => {
+        interval.add(new Option(minutes ? `Every ${minutes} min` : 'Off', minutes));
+    });
+    interval.value = Settings.get('snapshotMinutes');
+    interval.addEventListener('change', () => {
+        Settings.set('snapshotMinutes', Number(interval.value));
+        Snapshots.schedule();
+    });
+
+    document.getElementById('btn-snapshots').addEventListener('click', () => {
+        renderSnapshotList();
+        Modal.open('snapshots-modal');
+    });
+    document.getElementById('btn-snapshot-now').addEventListener('click', async () => {
+        await Snapshots.take('Manual');
+        renderSnapshotList();
+    });
+}
+
+/**
+ * Sharing
+ * Hand a list to someone else as a link (session compressed into the URL
+ * fragment, never sent to a server) or as a .json project file. Both open
+ * as a new project, so the receiver's current work is untouched.
+ */
+const SHARE_PREFIX = '#share=';
+
+function getShareData() {
+    // The list and how to display it; timer and speed history stay behind.
+    // realTime only means something with the sender's speed history.
+    const timestamps = JSON.parse(JSON.stringify(state.timestamps));
+    timestamps.forEach(ts => {
+        delete ts.realTime;
+        if (ts.end) delete ts.end.realTime;
+    });
+    return {
+        version: SCHEMA_VERSION,
+        timestamps,
+        globalOffset: state.globalOffset,
+        edits: state.edits,
+        speed: state.timer.speed
+    };
+}
+
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(b => binary += String.fromCharCode(b));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+async function encodeShare(payload) {
+    // "1" + deflated JSON where the browser can compress, "0" + plain JSON otherwise
+    const bytes = new TextEncoder().encode(JSON.stringify(payload));
+    if (typeof CompressionStream === 'undefined') return '0' + toBase64Url(bytes);
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return '1' + toBase64Url(new Uint8Array(await new Response(stream).arrayBuffer()));
+}
+
+async function decodeShare(text) {
+    let bytes = fromBase64Url(text.slice(1));
+    if (text[0] === '1') {
+        if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot open compressed links.');
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    } else if (text[0] !== '0') {
+        throw new Error('Unknown link format.');
+    }
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+async function getShareLink() {
+    const name = Projects.current ? Projects.current.name : 'Shared list';
+    const encoded = await encodeShare({ name, data: getShareData() });
+    return location.href.split('#')[0] + SHARE_PREFIX + encoded;
+}
+
+async function openShareLink() {
+    if (!location.hash.startsWith(SHARE_PREFIX)) return;
+    const encoded = location.hash.slice(SHARE_PREFIX.length);
+    // Drop the fragment so a reload doesn't open it again
+    history.replaceState(null, '', location.pathname + location.search);
+
+    try {
+        const shared = await decodeShare(encoded);
+        await Projects.create(`${String(shared.name || 'Shared list').slice(0, 100)} (shared)`, shared.data);
+        showToast('Opened the shared list as a new project.');
+    } catch (e) {
+        console.error("Failed to open shared link", e);
+        alert("This share link is damaged or incomplete: " + e.message);
+    }
+}
+
+function getProjectFile() {
+    return JSON.stringify({
+        type: PROJECT_FILE_TYPE,
+        name: Projects.current ? Projects.current.name : 'Untitled project',
+        savedAt: new Date().toISOString(),
+        data: getSessionData()
+    }, null, 2);
+}
+
+async function openProjectFile(file) {
+    let parsed;
+    try {
+        parsed = JSON.parse(await file.text());
+    } catch (e) {
+        alert(`"${file.name}" is not a project file.`);
+        return;
+    }
+    // Bare session data (e.g. a downloaded original from recovery) works too
+    const isProject = parsed && parsed.type === PROJECT_FILE_TYPE;
+    const data = isProject ? parsed.data : parsed;
+    if (!data || !Array.isArray(data.timestamps)) {
+        alert(`"${file.name}" is not a project file.`);
+        return;
+    }
+    const name = (isProject && parsed.name) || file.name.replace(/\.json$/i, '');
+    await Projects.create(name, data);
+    Modal.close('projects-modal');
+    showToast(`Opened "${name}" as a new project.`);
+}
+
+function initSharing() {
+    document.getElementById('btn-share').addEventListener('click', async (e) => {
+        const btn = e.currentTarget;
+        copyText(await getShareLink(), btn);
+    });
+    window.addEventListener('hashchange', openShareLink);
+
+    document.getElementById('btn-project-save-file').addEventListener('click', () => {
+        const name = Projects.current ? Projects.current.name : getExportBaseName();
+        downloadText(getProjectFile(), `${name}.json`, 'application/json');
+    });
+    const fileInput = document.getElementById('project-file-input');
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) openProjectFile(fileInput.files[0]);
+        fileInput.value = '';
+    });
+
+    // Dropping a .json file anywhere opens it
+    const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+    document.addEventListener('dragover', (e) => {
+        if (hasFiles(e)) e.preventDefault();
+    });
+    document.addEventListener('drop', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        const file = Array.from(e.dataTransfer.files).find(f => /\.json$/i.test(f.name));
+        if (file) openProjectFile(file);
+    });
+}
+
+/**
+ * Persistence
+ */
+function getSessionData() {
+    const data = {
+        version: SCHEMA_VERSION,
+        timestamps: state.timestamps,
+        globalOffset: state.globalOffset,
+        edits: state.edits,
+        timerAccumulated: state.timer.accumulated, // Save current accumulated time
+        timerRealAccumulated: Timer.getRealTime(),
+        speedLog: state.timer.speedLog,
+        speed: state.timer.speed // Save speed
+    };
+    if (state.timer.isRunning) {
+        // If running, calculate current accumulated up to now
+        data.timerAccumulated = Timer.getCurrentTime();
+    }
+    return data;
+}
+
+const SAVE_DELAY_MS = 400;      // Quiet time before a save
+const SAVE_MAX_DELAY_MS = 2000; // Saves still happen during continuous typing
+
+const pendingSave = { timer: null, since: null, promise: null, resolve: null };
+
+function saveState() {
+    // Debounced: many edits in a row become one write (and one broadcast)
+    if (TabSync.applying) return Promise.resolve(); // Another tab's change; it saved it already
+    if (!pendingSave.promise) {
+        pendingSave.since = Date.now();
+        pendingSave.promise = new Promise(resolve => pendingSave.resolve = resolve);
+    }
+    clearTimeout(pendingSave.timer);
+    const wait = Math.min(SAVE_DELAY_MS, pendingSave.since + SAVE_MAX_DELAY_MS - Date.now());
+    pendingSave.timer = setTimeout(flushState, Math.max(0, wait));
+    return pendingSave.promise;
+}
+
+function flushState() {
+    // Writes a pending save now, e.g. before switching projects or leaving the page
+    if (!pendingSave.promise) return Promise.resolve();
+    const { resolve } = pendingSave;
+    clearTimeout(pendingSave.timer);
+    pendingSave.timer = pendingSave.since = pendingSave.promise = pendingSave.resolve = null;
+
+    const data = getSessionData();
+    TabSync.publish(data);
+    const saved = Projects.save(data);
+    History.save(); // The undo steps for this change, so a crash doesn't lose them
+    resolve(saved);
+    return saved;
+}
+
+function applySessionData(data) {
+    // Replaces the whole in-memory session, e.g. when switching projects
+    state.timer.isRunning = false;
+    state.timer.startTime = null;
+    if (state.timer.rafId) cancelAnimationFrame(state.timer.rafId);
+
+    state.timestamps = data.timestamps || [];
+    const maxId = state.timestamps.reduce((max, t) => Math.max(max, t.id), 0);
+    state.nextId = maxId + 1;
+
+    state.edits = data.edits || [];
+    renderEdits();
+
+    state.globalOffset = data.globalOffset || 0;
+    const globalInput = document.getElementById('global-offset');
+    if (globalInput) globalInput.value = state.globalOffset;
+
+    state.timer.accumulated = data.timerAccumulated || 0;
+
+    state.timer.speed = data.speed || 1.0;
+    state.timer.realAccumulated = data.timerRealAccumulated || 0;
+    state.timer.speedLog = data.speedLog; // Always present after loadSessionData
+    const speedInput = document.getElementById('playback-speed');
+    if (speedInput) speedInput.value = state.timer.speed.toFixed(2);
+
+    updateTimerDisplay();
+    updateControls();
+    renderTimestamps();
+}
+
+async function loadState() {
+    try {
+        await Projects.init();
+    } catch (e) {
+        console.error("Failed to load state", e);
+    }
+}
+
+/**
+ * Tab Sync
+ * Keeps windows showing the same project in step. Every save is broadcast
+ * with a revision (a timestamp); the newest wins, so all tabs converge.
+ * The tab that last used the timer controls it, the others mirror its clock.
+ */
+const TabSync = {
+    tabId: Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+    channel: null,
+    storageKey: 'yt_ts_maker_sync',
+    revision: 0,              // Of the session shown in this tab
+    revisionFrom: null,       // Tab that made that revision
+    ownerId: null,            // Tab controlling the timer, null if nobody has yet
+    applying: false,
+
+    init: () => {
+        if (typeof BroadcastChannel !== 'undefined') {
+            TabSync.channel = new BroadcastChannel('yt_ts_maker');
+            TabSync.channel.onmessage = (e) => TabSync.receive(e.data);
+        } else {
+            // Fallback: the storage event fires in every other tab
+            window.addEventListener('storage', (e) => {
+                if (e.key === TabSync.storageKey && e.newValue) TabSync.receive(JSON.parse(e.newValue));
+            });
+        }
+        window.addEventListener('pagehide', () => {
+            if (TabSync.isOwner()) TabSync.post({ type: 'release' });
+        });
+    },
+    post: (message) => {
+        if (!Projects.current) return;
+        message.from = TabSync.tabId;
+        message.projectId = Projects.current.id;
+        if (TabSync.channel) TabSync.channel.postMessage(message);
+        else localStorage.setItem(TabSync.storageKey, JSON.stringify({ ...message, sentAt: Date.now() }));
+    },
+    isOwner: () => TabSync.ownerId === TabSync.tabId,
+
+    join: () => {
+        // Just opened a project: ask tabs already on it for their live state
+        TabSync.revision = 0;
+        TabSync.revisionFrom = null;
+        TabSync.ownerId = null;
+        updateOwnerNote();
+        TabSync.post({ type: 'hello' });
+    },
+    publish: (data) => {
+        const base = TabSync.revision;
+        TabSync.revision = Math.max(Date.now(), base + 1);
+        TabSync.revisionFrom = TabSync.tabId;
+        TabSync.sendSession(data, base);
+    },
+    sendSession: (data, base) => {
+        TabSync.post({
+            type: 'session',
+            revision: TabSync.revision,
+            base,
+            data,
+            timer: { isRunning: state.timer.isRunning, at: Date.now() },
+            ownerId: TabSync.ownerId
+        });
+    },
+    claimTimer: () => {
+        TabSync.ownerId = TabSync.tabId;
+        updateOwnerNote();
+    },
+
+    receive: (message) => {
+        if (!message || !Projects.current || message.projectId !== Projects.current.id) return;
+
+        if (message.type === 'hello') {
+            TabSync.sendSession(getSessionData(), TabSync.revision);
+        } else if (message.type === 'release') {
+            if (TabSync.ownerId === message.from) TabSync.ownerId = null;
+            updateOwnerNote();
+        } else if (message.type === 'session') {
+            // Debounced edits not sent yet would be overwritten unnoticed: send them first,
+            // so they count as our latest change below (or win, if they're newer)
+            flushState();
+            if (message.revision <= TabSync.revision) return;
+
+            // Our latest change never reached the sender: theirs replaces it
+            const conflict = TabSync.revisionFrom === TabSync.tabId && message.base < TabSync.revision;
+            if (conflict) History.record('Change from another window', { timer: true });
+
+            TabSync.revision = message.revision;
+            TabSync.revisionFrom = message.from;
+            TabSync.apply(message);
+
+            if (conflict) {
+                showToast('This project was changed in another window at the same time. Their version is shown.',
+                    { label: 'Undo', run: History.undo });
+            }
+        }
+    },
+    apply: (message) => {
+        const wasOwner = TabSync.isOwner();
+        const lostTimer = wasOwner && message.ownerId && message.ownerId !== TabSync.tabId;
+        // Media drives its own clock; an owner keeps its clock unless it lost control
+        const keepTimer = MediaSync.isActive() || (wasOwner && !lostTimer);
+        const timer = { ...state.timer };
+
+        TabSync.applying = true;
+        try {
+            const { data } = loadSessionData(message.data);
+            data.timestamps = TabSync.reuseEntries(data.timestamps);
+            applySessionData(data);
+
+            if (keepTimer) {
+                TabSync.restoreTimer(timer);
+            } else if (message.timer.isRunning) {
+                // Carry on from the sender's position as of when it was sent
+                const elapsed = Date.now() - message.timer.at;
+                state.timer.accumulated += elapsed * state.timer.speed;
+                state.timer.realAccumulated += elapsed;
+                Stopwatch.start();
+                tick();
+                updateControls();
+            }
+        } finally {
+            TabSync.applying = false;
+        }
+
+        if (message.ownerId) TabSync.ownerId = message.ownerId;
+        updateOwnerNote();
+        if (lostTimer) showToast('Another window took over the timer. This window now follows it.');
+    },
+    reuseEntries: (timestamps) => {
+        // Update our entry objects in place instead of taking the copies: the list
+        // then patches their items rather than rebuilding them, so focus and caret stay
+        const current = new Map(state.timestamps.map(ts => [ts.id, ts]));
+        return timestamps.map(ts => {
+            const existing = current.get(ts.id);
+            if (!existing) return ts;
+            Object.keys(existing).forEach(key => {
+                if (!(key in ts)) delete existing[key];
+            });
+            return Object.assign(existing, ts);
+        });
+    },
+    restoreTimer: (timer) => {
+        Object.assign(state.timer, timer);
+        const speedInput = document.getElementById('playback-speed');
+        if (speedInput) speedInput.value = state.timer.speed.toFixed(2);
+        if (state.timer.isRunning) tick();
+        updateTimerDisplay();
+        updateControls();
+    }
+};
+
+function updateOwnerNote() {
+    const note = document.getElementById('timer-owner-note');
+    if (note) note.hidden = !TabSync.ownerId || TabSync.isOwner();
+}
+
+function initTabSync() {
+    TabSync.init();
+    document.getElementById('btn-timer-takeover').addEventListener('click', () => {
+        TabSync.claimTimer();
+        saveState();
+    });
+}
+
+/**
+ * Controller Actions
+ */
+window.adjustLocalOffset = (id, deltaSec, which = 'start') => {
+    const ts = state.timestamps.find(t => t.id === id);
+    // Segments have a second offset for their end point
+    const target = which === 'end' ? ts && ts.end : ts;
+    if (target) {
+        History.record('Adjust offset', { mergeKey: `offset-${id}-${which}` });
+        target.localOffset += (deltaSec * 1000);
+        renderTimestamps(true, false);
+        saveState();
+    }
+};
+
+window.setLocalOffset = (id, text, which = 'start') => {
+    const ts = state.timestamps.find(t => t.id === id);
+    const target = which === 'end' ? ts && ts.end : ts;
+    // Seconds, H:MM:SS, timecode or frames ("12f"), optionally signed
+    const offsetMs = TimeFormat.parseOffset(text);
+    if (target && isNaN(offsetMs)) {
+        renderTimestamps(true, false); // Put the old value back
+    } else if (target) {
+        History.record('Set offset', { mergeKey: `offset-${id}-${which}` });
+        target.localOffset = offsetMs;
+        renderTimestamps(true, false);
+        saveState();
+    }
+};
+
+window.deleteTimestamp = deleteTimestamp;
+window.updateTimestamp = updateTimestamp;
+
+// Manual Timer Editing
+function initTimerEditing() {
+    const display = document.getElementById('timer-display');
+
+    const startEdit = () => {
+        if (display.querySelector('input')) return; // Already editing
+        if (state.timer.isRunning) Timer.pause(); // Pause to edit
+
+        // Seconds mode drops the tenths; ms and frames keep full precision
+        const currentText = TimeFormat.get().precision === 'seconds'
+            ? display.textContent.split('.')[0]
+            : TimeFormat.format(Timer.getCurrentTime());
+
+        // Replace with input
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = currentText;
+        input.className = 'timer-edit-input';
+        input.setAttribute('aria-label', 'Timer position (H:MM:SS). Enter saves, Escape cancels');
+        input.style.fontSize = 'inherit';
+        input.style.fontFamily = 'inherit';
+        input.style.color = 'inherit';
+        input.style.background = 'transparent';
+        input.style.border = '1px solid rgba(255,255,255,0.3)';
+        input.style.borderRadius = '4px';
+        input.style.textAlign = 'center';
+        input.style.width = '300px';
+
+        display.innerHTML = '';
+        display.appendChild(input);
+        input.focus();
+
+        let finished = false;
+        const finishEdit = (save) => {
+            // Enter and the blur that follows it must only save once
+            if (finished) return;
+            finished = true;
+
+            // HH:MM:SS, MM:SS, SS or HH:MM:SS:FF
+            const newMs = parseTimeString(input.value);
+
+            if (save && !isNaN(newMs)) {
+                History.record('Edit timer', { timer: true, mergeKey: 'timer-edit' });
+                Timer.setTime(newMs);
+                announce(`Timer set to ${TimeFormat.format(newMs)}.`);
+            } else {
+                updateTimerDisplay();
+            }
+        };
+
+        // Save on blur or enter, Escape keeps the old time
+        input.addEventListener('blur', () => finishEdit(true));
+        input.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' && e.key !== 'Escape') return;
+            e.stopPropagation(); // Not a hotkey, and Escape shouldn't close dialogs
+            finishEdit(e.key === 'Enter');
+            display.focus();
+        });
+    };
+
+    display.addEventListener('click', startEdit);
+    display.addEventListener('keydown', (e) => {
+        if (e.target !== display || (e.key !== 'Enter' && e.key !== 'F2')) return;
+        e.preventDefault();
+        e.stopPropagation(); // Enter would otherwise mark a timestamp
+        startEdit();
+    });
+}
+
+
+/**
+ * Initialization & Event Listeners
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    Settings.load();
+    loadState().then(openShareLink); // Load saved data, then a shared list from the URL
+    initTimerEditing();
+    MediaSync.init();
+    Modal.init();
+    initImport();
+    initExport();
+    initChapterChecks();
+    initProjects();
+    initRecovery();
+    initSnapshots();
+    initTabSync();
+    initSharing();
+    initHistory();
+    initEdits();
+    initSpeedLog();
+    initCategories();
+    initBulkEditing();
+    initListView();
+    initTimeline();
+    initListEditing();
+    initTimeFormat();
+
+    // Timer Controls
+    document.getElementById('btn-timer-start').addEventListener('click', Timer.toggle);
+    document.getElementById('btn-timer-reset').addEventListener('click', Timer.reset);
+
+    // Global Offset
+    const globalInput = document.getElementById('global-offset');
+    const setGlobal = (value) => {
+        if (value === state.globalOffset) return;
+        History.record('Global offset', { mergeKey: 'global-offset' });
+        state.globalOffset = value;
+        renderTimestamps(true, false); // Keep position
+        saveState();
+    };
+    const updateGlobal = () => {
+        // Same formats as entry offsets; half-typed values ("-", "1:") wait for more input
+        const offsetMs = TimeFormat.parseOffset(globalInput.value);
+        if (!isNaN(offsetMs)) setGlobal(offsetMs / 1000);
+    };
 
     document.getElementById('btn-global-plus').addEventListener('click', () => {
-        let current = parseFloat(globalInput.value) || 0;
-        current += 1;
-        globalInput.value = current;
-        updateGlobal();
+        setGlobal(state.globalOffset + 1);
+        globalInput.value = state.globalOffset;
     });
     document.getElementById('btn-global-minus').addEventListener('click', () => {
-        let current = parseFloat(globalInput.value) || 0;
-        current -= 1;
-        globalInput.value = current;
+        setGlobal(state.globalOffset - 1);
+        globalInput.value = state.globalOffset;
+    });
+    globalInput.addEventListener('change', () => {
         updateGlobal();
+        if (isNaN(TimeFormat.parseOffset(globalInput.value))) globalInput.value = state.globalOffset; // Put the old value back
     });
-    globalInput.addEventListener('change', updateGlobal);
     globalInput.addEventListener('input', updateGlobal);
 
     // Playback Speed
@@ -555,39 +3802,30 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Add Timestamp
     document.getElementById('btn-add-timestamp').addEventListener('click', addTimestamp);
+    document.getElementById('btn-segment').addEventListener('click', toggleSegment);
 
-    // Add Keyboard Shortcut (Space for Toggle, Enter for Mark)
-    document.addEventListener('keydown', (e) => {
-        // Only if not focused on input
-        if (e.target.tagName === 'INPUT') return;
-
-        if (e.code === 'Space') {
-            e.preventDefault();
-            Timer.toggle();
-        }
-        if (e.code === 'Enter') {
-            e.preventDefault(); // prevent default trigger
-            addTimestamp();
-        }
-    });
+    // Keyboard shortcuts (Space for Toggle, Enter for Mark, ... remappable)
+    initHotkeys();
 
     // Copy
-    document.getElementById('btn-copy-all').addEventListener('click', () => {
+    document.getElementById('btn-copy-all').addEventListener('click', (e) => {
         // Recalculate everything before copy just in case, though state is truth
-        const text = state.timestamps.map(ts => {
-            const timeStr = formatTimeSimple(calculateDisplayTime(ts));
-            return `${timeStr} ${ts.description}`;
-        }).join('\n');
-
-        navigator.clipboard.writeText(text).then(() => {
-            const btn = document.getElementById('btn-copy-all');
-            const original = btn.textContent;
-            btn.textContent = "Copied!";
-            setTimeout(() => btn.textContent = original, 2000);
-        });
+        // YouTube chapters can't nest, so only top-level entries are copied
+        copyText(exportTimestamps('text', { nesting: 'top' }), e.currentTarget);
     });
 });
 
+// Debounced saves still pending when the tab is hidden or closed, and the undo history
+window.addEventListener('pagehide', () => {
+    flushState();
+    History.save();
+});
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState !== 'hidden') return;
+    flushState();
+    History.save();
+});
+
 // Prevent accidental reload/leave
 window.addEventListener('beforeunload', (e) => {
     // Check if there is anything worth saving
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'timestamps-'));
+const textFile = path.join(dir, 'chapters.txt');
+fs.writeFileSync(textFile, '0:00 Intro\n0:05 Short\n1:30 Main part\n10:00 Outro\n');
+
+function run(args, input) {
+    const result = spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8' });
+    return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test.describe('cli', () => {
+    test.it('converts text to a chapter format (exit 0)', () => {
+        const { code, stdout, stderr } = run(['convert', textFile, '--to', 'ffmetadata', '--duration', '12:00']);
+        assert.equal(code, 0);
+        assert.equal(stderr, '');
+        assert.match(stdout, /^;FFMETADATA1\n/);
+        assert.match(stdout, /START=600000\nEND=720000\ntitle=Outro/);
+    });
+
+    test.it('shifts text read from stdin and warns about entries moved to 0:00', () => {
+        const { code, stdout, stderr } = run(['shift', '-', '-5'], '0:00 Intro\n0:30 Next\n');
+        assert.equal(code, 0);
+        assert.equal(stdout, '00:00 Intro\n00:25 Next\n');
+        assert.match(stderr, /1 entry starts before 0:00/);
+    });
+
+    test.it('warns when a chapter format has no duration', () => {
+        const { code, stderr } = run(['convert', textFile, '--to', 'srt']);
+        assert.equal(code, 0);
+        assert.match(stderr, /No --duration given/);
+    });
+
+    test.it('round-trips a project file through rescale', () => {
+        const projectFile = path.join(dir, 'show.json');
+        assert.equal(run(['convert', textFile, '--to', 'project', '-o', projectFile]).code, 0);
+        const project = JSON.parse(fs.readFileSync(projectFile, 'utf8'));
+        assert.equal(project.name, 'chapters');
+
+        const { code, stdout } = run(['rescale', projectFile, '2', '--to', 'text']);
+        assert.equal(code, 0);
+        assert.equal(stdout, '00:00 Intro\n00:02 Short\n00:45 Main part\n05:00 Outro\n');
+    });
+
+    test.it('validate exits 1 when the chapters need fixing', () => {
+        const { code, stdout } = run(['validate', textFile]);
+        assert.equal(code, 1);
+        assert.match(stdout, /00:00 Intro: Shorter than 10 seconds\./);
+        assert.match(stdout, /4 timestamps, 1 problem\.$/m);
+    });
+
+    test.it('validate exits 0 for a clean file', () => {
+        const { code, stdout } = run(['validate', '-'], '0:00 Intro\n0:30 Middle\n1:00 End\n');
+        assert.equal(code, 0);
+        assert.equal(stdout, '3 timestamps, 0 problems.\n');
+    });
+
+    test.it('exits 2 on usage and input errors', () => {
+        for (const args of [['nope', textFile], ['convert', textFile, '--to', 'nope'], ['shift', textFile, '--5'], ['rescale', textFile, '0'], ['convert', path.join(dir, 'missing.txt')]]) {
+            const { code, stderr } = run(args);
+            assert.equal(code, 2, args.join(' '));
+            assert.match(stderr, /^error: /);
+        }
+        for (const input of ['{ not json', '[1, 2]', '{"timestamps": 5}']) {
+            const { code, stderr } = run(['convert', '-', '--to', 'text'], input);
+            assert.equal(code, 2, input);
+            assert.match(stderr, /^error: /);
+        }
+    });
+
+    test.it('reads text that starts with a bracketed time', () => {
+        const { code, stdout } = run(['convert', '-', '--to', 'text'], '[0:00] Intro\n[1:30] Next\n');
+        assert.equal(code, 0);
+        assert.equal(stdout, '00:00 Intro\n01:30 Next\n');
+    });
+});
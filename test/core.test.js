@@ -0,0 +1,412 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Core = require('../core.js');
+
+const { FRAME_RATES } = Core;
+
+function fakeTimer() {
+    const clock = { time: 0, now: () => clock.time };
+    const timer = {
+        startTime: null,
+        accumulated: 0,
+        realAccumulated: 0,
+        isRunning: false,
+        speed: 1,
+        speedLog: [{ realStart: 0, scaledStart: 0, speed: 1, jump: true }]
+    };
+    return { clock, timer, stopwatch: Core.createTimer(timer, clock) };
+}
+
+function sampleSession() {
+    return {
+        timestamps: [
+            { id: 1, rawTime: 0, localOffset: 0, description: 'Intro' },
+            { id: 2, rawTime: 65000, localOffset: 500, description: 'Song, "live"', level: 1, category: 1 },
+            { id: 3, rawTime: 120000, localOffset: 0, description: 'Clip', end: { rawTime: 150000, localOffset: 0 } }
+        ],
+        globalOffset: 0,
+        edits: []
+    };
+}
+
+function sampleEntries() {
+    return Core.buildExportEntries(sampleSession(), {
+        duration: 200000,
+        getCategory: ts => ts.category === 1 ? { name: 'Music' } : null
+    });
+}
+
+const CONTEXT = { globalOffset: 0, speed: 1, edits: [], fileName: 'show.mp3', title: 'Show' };
+
+test.describe('createTimer', () => {
+    test.it('counts only while running', () => {
+        const { clock, stopwatch } = fakeTimer();
+        assert.equal(stopwatch.start(), true);
+        assert.equal(stopwatch.start(), false);
+        clock.time = 1500;
+        assert.equal(stopwatch.getCurrentTime(), 1500);
+        assert.equal(stopwatch.pause(), true);
+        clock.time = 5000;
+        assert.equal(stopwatch.getCurrentTime(), 1500);
+        assert.equal(stopwatch.getRealTime(), 1500);
+        assert.equal(stopwatch.pause(), false);
+    });
+
+    test.it('keeps time counted at the old speed when the speed changes', () => {
+        const { clock, timer, stopwatch } = fakeTimer();
+        stopwatch.start();
+        clock.time = 1000;
+        stopwatch.setSpeed(2);
+        stopwatch.logSegment(false);
+        clock.time = 2000;
+        assert.equal(stopwatch.getCurrentTime(), 3000);
+        assert.equal(stopwatch.getRealTime(), 2000);
+        assert.deepEqual(timer.speedLog[1], { realStart: 1000, scaledStart: 1000, speed: 2 });
+        assert.equal(Core.scaledTimeAt(timer.speedLog, 1500), 2000);
+    });
+
+    test.it('jumps with setTime while real time keeps counting', () => {
+        const { clock, timer, stopwatch } = fakeTimer();
+        stopwatch.start();
+        clock.time = 1000;
+        stopwatch.setTime(10000);
+        stopwatch.logSegment(true);
+        clock.time = 1500;
+        assert.equal(stopwatch.getCurrentTime(), 10500);
+        assert.equal(stopwatch.getRealTime(), 1500);
+        assert.equal(timer.speedLog[1].jump, true);
+    });
+
+    test.it('continues from a rebased position', () => {
+        const { clock, stopwatch } = fakeTimer();
+        stopwatch.start();
+        clock.time = 1000;
+        stopwatch.rebase(500, 4000);
+        clock.time = 2000;
+        assert.equal(stopwatch.getCurrentTime(), 1500);
+        assert.equal(stopwatch.getRealTime(), 5000);
+    });
+
+    test.it('replaces a speed-log entry when nothing ran in between', () => {
+        const { timer, stopwatch } = fakeTimer();
+        stopwatch.setSpeed(1.5);
+        stopwatch.logSegment(false);
+        assert.deepEqual(timer.speedLog, [{ realStart: 0, scaledStart: 0, speed: 1.5, jump: true }]);
+    });
+
+    test.it('resets to zero and keeps the speed', () => {
+        const { clock, timer, stopwatch } = fakeTimer();
+        stopwatch.setSpeed(2);
+        stopwatch.start();
+        clock.time = 1000;
+        stopwatch.reset();
+        assert.equal(stopwatch.getCurrentTime(), 0);
+        assert.equal(timer.isRunning, false);
+        assert.deepEqual(timer.speedLog, [{ realStart: 0, scaledStart: 0, speed: 2, jump: true }]);
+    });
+});
+
+test.describe('timecode', () => {
+    const parse = (text, fps) => Core.timecodeToFrames(...text.split(/[:;]/).map(Number), fps);
+
+    for (const [id, fps] of Object.entries(FRAME_RATES)) {
+        test.it(`round-trips every frame of the first 11 minutes at ${id}`, () => {
+            for (let frames = 0; frames < fps.rate * 660; frames++) {
+                assert.equal(parse(Core.framesToTimecode(frames, fps), fps), frames);
+            }
+        });
+    }
+
+    test.it('skips frame labels at 29.97 drop-frame', () => {
+        const fps = FRAME_RATES['29.97df'];
+        assert.equal(Core.framesToTimecode(1799, fps), '00:00:59;29');
+        assert.equal(Core.framesToTimecode(1800, fps), '00:01:00;02');
+        assert.equal(Core.framesToTimecode(17982, fps), '00:10:00;00');
+        assert.ok(isNaN(parse('00:01:00;00', fps)));
+        assert.ok(isNaN(parse('00:01:00;01', fps)));
+        assert.equal(parse('00:10:00;00', fps), 17982);
+    });
+
+    test.it('rejects out-of-range fields', () => {
+        const fps = FRAME_RATES['25'];
+        assert.ok(isNaN(parse('00:60:00:00', fps)));
+        assert.ok(isNaN(parse('00:00:60:00', fps)));
+        assert.ok(isNaN(parse('00:00:00:25', fps)));
+    });
+});
+
+test.describe('parseTimeString', () => {
+    test.it('reads seconds, MM:SS and H:MM:SS', () => {
+        assert.equal(Core.parseTimeString('12.5'), 12500);
+        assert.equal(Core.parseTimeString('1:30'), 90000);
+        assert.equal(Core.parseTimeString(' 2:03:04 '), 7384000);
+    });
+
+    test.it('reads timecode at the given frame rate', () => {
+        assert.equal(Core.parseTimeString('00:01:00:15'), 60500);
+        assert.equal(Core.parseTimeString('00:00:01:12', FRAME_RATES['24']), 1500);
+    });
+
+    test.it('rejects signs, exponents, hex and empty parts', () => {
+        for (const text of ['', '1:-5', '-5', '1e3', '0x10', '1::2', '1:2:3:4:5', 'abc']) {
+            assert.ok(isNaN(Core.parseTimeString(text)), text);
+        }
+    });
+});
+
+test.describe('parseOffset', () => {
+    test.it('reads signed times and frame counts', () => {
+        assert.equal(Core.parseOffset('-5'), -5000);
+        assert.equal(Core.parseOffset('+1:30'), 90000);
+        assert.equal(Core.parseOffset('- 0.5'), -500);
+        assert.equal(Core.parseOffset('12f'), 400);
+        assert.equal(Core.parseOffset('-25F', FRAME_RATES['25']), -1000);
+    });
+
+    test.it('allows one sign at most and whole frames only', () => {
+        for (const text of ['', '--5', '+-5', '--12f', '1.5f', '1e3', 'f']) {
+            assert.ok(isNaN(Core.parseOffset(text)), text);
+        }
+    });
+});
+
+test.describe('parseTimestampText', () => {
+    test.it('reads times around separators, brackets and list numbers', () => {
+        const { entries, skipped } = Core.parseTimestampText('1. 0:00 Intro\n[01:02] Song - \n\nno time\nPart 2 (1:02:03)\n12:34 | Q&A');
+        assert.deepEqual(entries, [
+            { time: 0, description: 'Intro' },
+            { time: 62000, description: 'Song' },
+            { time: 3723000, description: 'Part 2' },
+            { time: 754000, description: 'Q&A' }
+        ]);
+        assert.deepEqual(skipped, [{ line: 4, text: 'no time' }]);
+    });
+});
+
+test.describe('loadSessionData', () => {
+    test.it('repairs entries and reports what it changed', () => {
+        const raw = {
+            timestamps: [
+                { id: 1, rawTime: '1:30', description: 'Text time' },
+                { id: 1, rawTime: 5000, description: 7, localOffset: 'x' },
+                { id: 2, rawTime: 'soon', description: 'No time' },
+                null,
+                { id: 3, rawTime: 1000, end: { rawTime: 'bad' }, level: 9 }
+            ],
+            edits: [{ id: 1, type: 'cut', start: 0, end: 1000 }, { type: 'cut' }],
+            speed: -1
+        };
+        const { data, problems } = Core.loadSessionData(raw);
+
+        assert.equal(raw.timestamps[0].rawTime, '1:30', 'leaves the original alone');
+        assert.deepEqual(data.timestamps.map(ts => ts.rawTime), [90000, 5000, 1000]);
+        assert.deepEqual(data.timestamps.map(ts => ts.id), [1, 4, 3]);
+        assert.equal(data.timestamps[1].description, '7');
+        assert.equal(data.timestamps[1].localOffset, 0);
+        assert.equal(data.timestamps[2].end, undefined);
+        assert.equal(data.timestamps[2].level, Core.MAX_LEVEL);
+        assert.equal(data.edits.length, 1);
+        assert.equal(data.speed, 1);
+        assert.equal(data.version, Core.SCHEMA_VERSION);
+        assert.deepEqual(data.speedLog, [{ realStart: 0, scaledStart: 0, speed: 1, jump: true }]);
+        assert.equal(problems.length, 9);
+    });
+
+    test.it('starts empty on unreadable data', () => {
+        const { data, problems } = Core.loadSessionData('nonsense');
+        assert.deepEqual(data.timestamps, []);
+        assert.equal(problems.length, 1);
+    });
+
+    test.it('warns about files from a newer version', () => {
+        const { problems } = Core.loadSessionData({ version: Core.SCHEMA_VERSION + 1, timestamps: [] });
+        assert.match(problems[0], /newer version/);
+    });
+});
+
+test.describe('display time', () => {
+    const edits = [
+        { id: 1, type: 'cut', start: 10000, end: 20000 },
+        { id: 2, type: 'insert', start: 30000, duration: 5000 }
+    ];
+
+    test.it('remaps through cuts and inserts', () => {
+        assert.equal(Core.remapTime(5000, edits), 5000);
+        assert.equal(Core.remapTime(15000, edits), 10000); // Inside the cut
+        assert.equal(Core.remapTime(25000, edits), 15000);
+        assert.equal(Core.remapTime(30000, edits), 25000);
+        assert.deepEqual(Core.findCutAt(15000, edits), edits[0]);
+        assert.equal(Core.findCutAt(20000, edits), undefined);
+    });
+
+    test.it('removes overlapping cuts once', () => {
+        const overlapping = [
+            { id: 1, type: 'cut', start: 10000, end: 20000 },
+            { id: 2, type: 'cut', start: 15000, end: 25000 },
+            { id: 3, type: 'cut', start: 25000, end: 30000 },
+            { id: 4, type: 'cut', start: 12000, end: 14000 }
+        ];
+        assert.equal(Core.remapTime(18000, overlapping), 10000);
+        assert.equal(Core.remapTime(40000, overlapping), 20000);
+        assert.equal(Core.remapTime(40000, [...overlapping, ...edits]), 25000);
+    });
+
+    test.it('applies offsets before the cut list and never goes below 0', () => {
+        const session = { globalOffset: 2, edits };
+        assert.equal(Core.calculateDisplayTime({ rawTime: 20000, localOffset: 1000 }, session), 13000);
+        assert.equal(Core.calculateDisplayTime({ rawTime: 0, localOffset: -5000 }, session), 0);
+        assert.equal(Core.calculateEndDisplayTime({ rawTime: 0, localOffset: 0, end: null }, session), null);
+        assert.equal(Core.calculateEndDisplayTime({ rawTime: 0, localOffset: 0, end: { rawTime: 40000, localOffset: 0 } }, session), 37000);
+    });
+});
+
+test.describe('buildExportEntries', () => {
+    test.it('ends each chapter at the next one and the last at the duration', () => {
+        const entries = sampleEntries();
+        assert.deepEqual(entries.map(e => [e.start, e.end, e.clipEnd]), [[0, 65500, null], [65500, 120000, null], [120000, 200000, 150000]]);
+        assert.deepEqual(entries.map(e => e.category && e.category.name), [null, 'Music', null]);
+    });
+
+    test.it('ends the last chapter at its start without a duration', () => {
+        const entries = Core.buildExportEntries(sampleSession());
+        assert.equal(entries[2].end, 120000);
+    });
+
+    test.it('applies nesting and filters', () => {
+        const session = sampleSession();
+        const describe = (options) => Core.buildExportEntries(session, options).map(e => e.description);
+        assert.deepEqual(describe({ nesting: 'top' }), ['Intro', 'Clip']);
+        assert.deepEqual(describe({ nesting: 'number' }), ['1 Intro', '1.1 Song, "live"', '2 Clip']);
+        assert.deepEqual(describe({ nesting: 'indent' }), ['Intro', '  Song, "live"', 'Clip']);
+        assert.deepEqual(describe({ include: ts => ts.id !== 1 }), ['Song, "live"', 'Clip']);
+    });
+});
+
+test.describe('ExportFormats', () => {
+    const format = (id, entries = sampleEntries()) => Core.ExportFormats[id].format(entries, CONTEXT);
+
+    test.it('text', () => {
+        assert.equal(format('text'), '00:00 Intro\n01:05 Song, "live"\n02:00 Clip');
+    });
+
+    test.it('vtt', () => {
+        assert.equal(format('vtt'), 'WEBVTT\n\n1\n00:00:00.000 --> 00:01:05.500\nIntro\n\n'
+            + '2\n00:01:05.500 --> 00:02:00.000\nSong, "live"\n\n3\n00:02:00.000 --> 00:03:20.000\nClip\n');
+    });
+
+    test.it('srt', () => {
+        assert.equal(format('srt'), '1\n00:00:00,000 --> 00:01:05,500\nIntro\n\n'
+            + '2\n00:01:05,500 --> 00:02:00,000\nSong, "live"\n\n3\n00:02:00,000 --> 00:03:20,000\nClip\n');
+    });
+
+    test.it('ffmetadata', () => {
+        const entries = Core.buildExportEntries({ timestamps: [{ id: 1, rawTime: 0, localOffset: 0, description: 'a=b;c' }], globalOffset: 0 }, { duration: 1000 });
+        assert.equal(format('ffmetadata', entries), ';FFMETADATA1\n\n[CHAPTER]\nTIMEBASE=1/1000\nSTART=0\nEND=1000\ntitle=a\\=b\\;c\n');
+    });
+
+    test.it('cue', () => {
+        assert.equal(format('cue'), 'FILE "show.mp3" MP3\n'
+            + '  TRACK 01 AUDIO\n    TITLE "Intro"\n    INDEX 01 00:00:00\n'
+            + '  TRACK 02 AUDIO\n    TITLE "Song, \'live\'"\n    INDEX 01 01:05:38\n'
+            + '  TRACK 03 AUDIO\n    TITLE "Clip"\n    INDEX 01 02:00:00\n');
+    });
+
+    test.it('csv', () => {
+        assert.equal(format('csv'), 'index,start,end,start_ms,end_ms,raw_ms,local_offset_ms,category,description\r\n'
+            + '1,00:00:00.000,00:01:05.500,0,65500,0,0,,Intro\r\n'
+            + '2,00:01:05.500,00:02:00.000,65500,120000,65000,500,Music,"Song, ""live"""\r\n'
+            + '3,00:02:00.000,00:03:20.000,120000,200000,120000,0,,Clip\r\n');
+    });
+
+    test.it('clips', () => {
+        assert.equal(format('clips'), '1. 02:00 - 02:30 (00:30) Clip');
+    });
+
+    test.it('ffmpeg', () => {
+        assert.equal(format('ffmpeg'), '#!/bin/sh\n# Usage: sh cut.sh [input file]\nINPUT="${1:-show.mp3}"\n\n'
+            + 'ffmpeg -ss 00:02:00.000 -to 00:02:30.000 -i "$INPUT" -c copy "01 - Clip.mp3"\n');
+    });
+
+    test.it('edl', () => {
+        assert.equal(format('edl'), 'TITLE: Show\nFCM: NON-DROP FRAME\n\n'
+            + '001  AX       V     C        00:02:00:00 00:02:30:00 00:00:00:00 00:00:30:00\n'
+            + '* FROM CLIP NAME: show.mp3\n* COMMENT: Clip\n');
+    });
+
+    test.it('json loads back to the same list', () => {
+        const session = sampleSession();
+        session.edits = [{ id: 1, type: 'insert', start: 0, duration: 1000 }];
+        const entries = Core.buildExportEntries(session, { nesting: 'number' });
+        const exported = JSON.parse(Core.ExportFormats.json.format(entries, { globalOffset: 0, speed: 1, edits: session.edits }));
+        assert.deepEqual(exported.timestamps.map(ts => ts.displayTime), [1000, 66500, 121000]);
+
+        const { data, problems } = Core.loadSessionData(exported);
+        assert.deepEqual(problems, []);
+        assert.deepEqual(data.edits, session.edits);
+        data.timestamps.forEach((ts, i) => {
+            const original = session.timestamps[i];
+            for (const key of ['id', 'rawTime', 'localOffset', 'description', 'level', 'category', 'end']) {
+                assert.deepEqual(ts[key], original[key], key);
+            }
+        });
+    });
+});
+
+test.describe('checkChapters', () => {
+    const check = (list, options = {}) => {
+        const timestamps = list.map(([time, description], i) => ({ id: i + 1, rawTime: time * 1000, localOffset: 0, description }));
+        const result = Core.checkChapters(Core.buildExportEntries({ timestamps, globalOffset: 0 }, Object.assign({ nesting: 'top' }, options)));
+        return { general: result.general, issues: result.issues.map(i => `${i.entry.ts.id}:${i.type}`) };
+    };
+
+    test.it('passes a valid list', () => {
+        assert.deepEqual(check([[0, 'Intro'], [30, 'Middle'], [60, 'End']]), { general: [], issues: [] });
+    });
+
+    test.it('needs three chapters', () => {
+        assert.equal(check([[0, 'Intro'], [30, 'End']]).general.length, 1);
+    });
+
+    test.it('flags the start, order, duplicates, short chapters and empty titles', () => {
+        assert.deepEqual(check([[5, 'Late start'], [60, 'B'], [30, 'A'], [60.4, 'Same'], [90, '']]).issues,
+            ['1:start', '3:order', '4:duplicate', '5:empty']);
+        assert.deepEqual(check([[0, 'Intro'], [5, 'Short'], [60, 'End']]).issues, ['1:short']);
+    });
+
+    test.it('ignores nested entries', () => {
+        const timestamps = [
+            { id: 1, rawTime: 0, localOffset: 0, description: 'Intro' },
+            { id: 2, rawTime: 1000, localOffset: 0, description: 'Sub', level: 1 },
+            { id: 3, rawTime: 30000, localOffset: 0, description: 'Middle' },
+            { id: 4, rawTime: 60000, localOffset: 0, description: 'End' }
+        ];
+        const { issues } = Core.checkChapters(Core.buildExportEntries({ timestamps, globalOffset: 0 }, { nesting: 'top' }));
+        assert.deepEqual(issues, []);
+    });
+});
+
+test.describe('transforms', () => {
+    test.it('shiftSession moves the global offset and leaves the input alone', () => {
+        const session = sampleSession();
+        const shifted = Core.shiftSession(session, -1500);
+        assert.equal(shifted.globalOffset, -1.5);
+        assert.equal(session.globalOffset, 0);
+        assert.deepEqual(shifted.timestamps.map(ts => Core.calculateDisplayTime(ts, shifted)), [0, 64000, 118500]);
+    });
+
+    test.it('rescaleSession divides every display time by the speed', () => {
+        const session = sampleSession();
+        session.globalOffset = 10;
+        session.edits = [{ id: 1, type: 'cut', start: 20000, end: 30000 }, { id: 2, type: 'insert', start: 100000, duration: 4000 }];
+        session.speedLog = [{ realStart: 0, scaledStart: 0, speed: 1, jump: true }];
+        const rescaled = Core.rescaleSession(session, 2);
+
+        session.timestamps.forEach((ts, i) => {
+            const scaled = rescaled.timestamps[i];
+            assert.equal(Core.calculateDisplayTime(scaled, rescaled), Core.calculateDisplayTime(ts, session) / 2);
+            assert.equal(Core.calculateEndDisplayTime(scaled, rescaled), ts.end ? Core.calculateEndDisplayTime(ts, session) / 2 : null);
+        });
+        assert.equal(rescaled.speedLog[0].speed, 0.5);
+        assert.equal(session.timestamps[1].rawTime, 65000);
+    });
+});